@@ -0,0 +1,244 @@
+import { roundDays, daysBetween, clampToPeriod, daysInPeriod } from "./dates.js";
+
+export function typeKey(category, name) {
+  return `${category}::${name}`;
+}
+
+// ---------------------------
+// Allowances
+// Policy allowance (pto_types) -> users.annual_allowance_days (Vacation only) -> per-type
+// override (pto_allowance_overrides), then + tenure extra days (pto_tenure_rules).
+// ---------------------------
+const USER_ALLOWANCE_TYPE = typeKey("Short-term leave", "Vacation");
+
+// Whole years of service completed on a date
+function yearsOfService(hireDate, dateStr) {
+  if (!hireDate || hireDate > dateStr) return 0;
+  const years = Number(dateStr.slice(0, 4)) - Number(hireDate.slice(0, 4));
+  return dateStr.slice(5) >= hireDate.slice(5) ? years : years - 1;
+}
+
+// Annual allowance for a user and type in a period, with where each part comes from
+function resolveAllowance(t, inputs, period) {
+  const user = inputs.user || {};
+  const ofType = (rows) => rows.filter((r) => r.category === t.category && r.type === t.name);
+
+  let days = t.annual_allowance_days ?? 0;
+  const sources = [{ source: "policy", days }];
+
+  if (typeKey(t.category, t.name) === USER_ALLOWANCE_TYPE && user.annual_allowance_days != null) {
+    days = user.annual_allowance_days;
+    sources.push({ source: "user", days });
+  }
+
+  const override = ofType(inputs.overrides || [])[0];
+  if (override && override.annual_allowance_days != null) {
+    days = override.annual_allowance_days;
+    sources.push({ source: "override", days });
+  }
+
+  // tenure counts years completed by the start of the period
+  const years = yearsOfService(user.hire_date, period.start);
+  for (const rule of ofType(inputs.tenureRules || [])) {
+    const extraYears = years - rule.after_years;
+    if (extraYears <= 0) continue;
+    let extra = extraYears * rule.extra_days_per_year;
+    if (rule.max_extra_days != null) extra = Math.min(extra, rule.max_extra_days);
+    days += extra;
+    sources.push({ source: "tenure", days: extra, years });
+  }
+
+  return { days: roundDays(days), sources };
+}
+
+// Part of the period the user is employed, from users.hire_date / users.termination_date.
+// fraction = employed days / period days (0 if not employed at all during the period).
+function employmentInPeriod(user, period) {
+  const start = user?.hire_date && user.hire_date > period.start ? user.hire_date : period.start;
+  const end = user?.termination_date && user.termination_date < period.end ? user.termination_date : period.end;
+  if (start > end) return { start, end, fraction: 0 };
+
+  const fraction = (daysBetween(start, end) + 1) / (daysBetween(period.start, period.end) + 1);
+  return { start, end, fraction };
+}
+
+export function describeAllowanceSources(sources) {
+  return sources
+    .map((s) => {
+      if (s.source === "policy") return `policy ${s.days}`;
+      if (s.source === "user") return `usuario ${s.days}`;
+      if (s.source === "override") return `override ${s.days}`;
+      if (s.source === "tenure") return `+${s.days} antigüedad (${s.years} años)`;
+      if (s.source === "prorated") return `prorrateado ${s.days} (${s.from} → ${s.to})`;
+      return `${s.source} ${s.days}`;
+    })
+    .join(" → ");
+}
+
+// ---------------------------
+// Accrual
+// pto_types.accrual_mode: "upfront" (whole allowance on day one), "monthly", or
+// "pay_period" (PAY_PERIODS_PER_YEAR equal slices). Each slice is credited when it starts.
+// ---------------------------
+const PAY_PERIODS_PER_YEAR = Number(process.env.PAY_PERIODS_PER_YEAR || 24);
+
+// 0-based accrual slice of a date inside the period (months or pay periods since period start)
+function accrualSlice(mode, period, dateStr) {
+  if (mode === "monthly") {
+    return (
+      (Number(dateStr.slice(0, 4)) - Number(period.start.slice(0, 4))) * 12 +
+      (Number(dateStr.slice(5, 7)) - Number(period.start.slice(5, 7))) -
+      (dateStr.slice(8) < period.start.slice(8) ? 1 : 0)
+    );
+  }
+  const periodDays = daysBetween(period.start, period.end) + 1;
+  return Math.floor((daysBetween(period.start, dateStr) * PAY_PERIODS_PER_YEAR) / periodDays);
+}
+
+// Allowance available by asOf. `allowance` is the full annual figure; `employment` is the
+// part of the period the user is employed ({ start, end, fraction }), which prorates it.
+// Accruing types earn at the full rate, only for slices while employed, up to the prorated total.
+function accruedAllowance(t, allowance, period, asOf, employment) {
+  const prorated = roundDays(allowance * employment.fraction);
+  const mode = t.accrual_mode || "upfront";
+  if (mode === "upfront" || prorated === 0) return prorated;
+
+  const slicesPerYear = mode === "monthly" ? 12 : mode === "pay_period" ? PAY_PERIODS_PER_YEAR : null;
+  if (!slicesPerYear) return prorated;
+
+  const asOfDate = clampToPeriod(asOf, period);
+  const date = asOfDate < employment.end ? asOfDate : employment.end;
+  if (date < employment.start) return 0;
+
+  const slices = accrualSlice(mode, period, date) - accrualSlice(mode, period, employment.start) + 1;
+  return Math.min(roundDays((allowance * slices) / slicesPerYear), prorated);
+}
+
+// ---------------------------
+// Balance of one type in one period, from the inputs loaded by loadBalanceInputs (index.js)
+// ---------------------------
+// Balance of one type in one period, as of a date inside it.
+// Carried-over days are consumed first: approved days up to the expiry date use them
+// before the period allowance, and whatever is left unused expires after that date.
+// remaining_days = not yet used; pending requests reserve part of it, and what's left
+// after reservations is available_days.
+// accruedAsOf lets the allowance accrue to a different date than asOf (defaults to asOf).
+export function computeTypeBalance(t, inputs, period, asOf, accruedAsOf = asOf) {
+  const ofType = (rows) => rows.filter((r) => r.category === t.category && r.type === t.name);
+
+  const sumDays = (rows) => roundDays(rows.reduce((sum, r) => sum + daysInPeriod(r, period, inputs.holidays), 0));
+
+  const approved = ofType(inputs.approved);
+  const used = sumDays(approved);
+  const reserved = sumDays(ofType(inputs.pending || []));
+
+  if (t.is_unlimited) {
+    return { category: t.category, type: t.name, unlimited: true, used_days: used, reserved_days: reserved };
+  }
+
+  const { days: annualAllowance, sources: allowanceSources } = resolveAllowance(t, inputs, period);
+  const employment = employmentInPeriod(inputs.user, period);
+  const allowance = roundDays(annualAllowance * employment.fraction);
+  if (employment.fraction < 1) {
+    allowanceSources.push({ source: "prorated", days: allowance, from: employment.start, to: employment.end });
+  }
+  const accrued = accruedAllowance(t, annualAllowance, period, accruedAsOf, employment);
+
+  const carryover = ofType(inputs.carryovers)[0];
+  const carried = carryover?.days || 0;
+  const expiresOn = carryover?.expires_on || null;
+  let carriedUsed = 0;
+  let expired = 0;
+
+  if (carried > 0) {
+    const window = { start: period.start, end: expiresOn && expiresOn < period.end ? expiresOn : period.end };
+    const usedBeforeExpiry = approved.reduce((sum, r) => sum + daysInPeriod(r, window, inputs.holidays), 0);
+    carriedUsed = Math.min(carried, usedBeforeExpiry);
+    if (expiresOn && asOf > expiresOn) expired = carried - carriedUsed;
+  }
+
+  const adjustments = withPriorCreditUse(
+    ofType(inputs.adjustments || []),
+    ofType(inputs.priorRequests || []),
+    ofType(inputs.priorCredits || []),
+    period,
+    inputs.holidays
+  );
+  const adjusted = roundDays(adjustments.reduce((sum, a) => sum + a.days, 0));
+
+  // Credits with an expiry (e.g. time off in lieu) are used right after carried-over days,
+  // soonest expiry first; whatever is unused on the expiry date is lost.
+  let creditsExpired = 0;
+  let nextCreditExpiry = null;
+  let consumed = carriedUsed;
+  const expiringCredits = adjustments
+    .filter((a) => a.days > 0 && a.expires_on)
+    .sort((a, b) => (a.expires_on < b.expires_on ? -1 : 1));
+
+  for (const credit of expiringCredits) {
+    const window = { start: period.start, end: credit.expires_on < period.end ? credit.expires_on : period.end };
+    const usedBefore = approved.reduce((sum, r) => sum + daysInPeriod(r, window, inputs.holidays), 0);
+    const creditUsed = Math.min(credit.days, Math.max(usedBefore - consumed, 0));
+    consumed += creditUsed;
+
+    if (asOf > credit.expires_on) {
+      creditsExpired += credit.days - creditUsed;
+    } else if (!nextCreditExpiry && credit.days > creditUsed) {
+      nextCreditExpiry = { date: credit.expires_on, days: roundDays(credit.days - creditUsed) };
+    }
+  }
+
+  const remaining = t.counts_against_balance
+    ? Math.max(roundDays(accrued + carried - expired + adjusted - creditsExpired - used), 0)
+    : accrued;
+  const available = t.counts_against_balance ? Math.max(roundDays(remaining - reserved), 0) : accrued;
+
+  return {
+    category: t.category,
+    type: t.name,
+    unlimited: false,
+    allowance_days: allowance,
+    allowance_sources: allowanceSources,
+    accrual_mode: t.accrual_mode || "upfront",
+    accrued_days: accrued,
+    as_of: asOf,
+    used_days: used,
+    reserved_days: reserved,
+    remaining_days: remaining,
+    available_days: available,
+    carried_over_days: carried,
+    carryover_used_days: carriedUsed,
+    carryover_expired_days: expired,
+    expiring_days: expiresOn && asOf <= expiresOn ? carried - carriedUsed : 0,
+    carryover_expires_on: expiresOn,
+    adjustment_days: adjusted,
+    credit_expired_days: roundDays(creditsExpired),
+    next_credit_expiry: nextCreditExpiry,
+    counts_against_balance: t.counts_against_balance,
+    carryover_allowed: t.carryover_allowed,
+  };
+}
+
+// Credits from earlier periods (effective before period.start) only bring what the usage before
+// the period left of them. That usage is spread like in the period: soonest expiry first, each
+// credit taking the days used up to its expiry. Only the part of a request before the period counts.
+function withPriorCreditUse(adjustments, priorRequests, priorCredits, period, holidays = null) {
+  if (!adjustments.some((a) => a.effective_date < period.start)) return adjustments;
+
+  const usedBy = (dateStr) =>
+    priorRequests
+      .filter((r) => r.start_date <= dateStr)
+      .reduce((sum, r) => sum + (r.days_count || 0) - daysInPeriod(r, period, holidays), 0);
+
+  const left = new Map();
+  let consumed = 0;
+  for (const credit of [...priorCredits].sort((a, b) => (a.expires_on < b.expires_on ? -1 : 1))) {
+    const creditUsed = Math.min(credit.days, Math.max(usedBy(credit.expires_on) - consumed, 0));
+    consumed += creditUsed;
+    left.set(credit.id, roundDays(credit.days - creditUsed));
+  }
+
+  return adjustments
+    .map((a) => (a.effective_date < period.start ? { ...a, days: left.get(a.id) ?? a.days } : a))
+    .filter((a) => a.days !== 0);
+}
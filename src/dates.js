@@ -0,0 +1,94 @@
+// ---------------------------
+// Dates, business days and leave periods (balance years). Dates are "YYYY-MM-DD" strings.
+// LEAVE_YEAR_START is "MM-DD": "01-01" = calendar year, "04-01" = fiscal year starting April 1
+// ---------------------------
+const LEAVE_YEAR_START = process.env.LEAVE_YEAR_START || "01-01";
+
+export function roundDays(n) {
+  return Math.round(n * 100) / 100;
+}
+
+export function daysBetween(fromStr, toStr) {
+  return Math.round((Date.parse(toStr) - Date.parse(fromStr)) / (24 * 60 * 60 * 1000));
+}
+
+export function localDateStr(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+export function todayStr() {
+  return new Date().toISOString().split("T")[0];
+}
+
+export function isValidDateStr(str) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(str) && !isNaN(new Date(str + "T00:00:00Z"));
+}
+
+export function addDays(dateStr, n) {
+  const d = new Date(dateStr + "T00:00:00Z");
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().split("T")[0];
+}
+
+// Weekdays between two dates (inclusive), skipping any date in `holidays` (Map or Set of YYYY-MM-DD)
+export function countBusinessDays(startDateStr, endDateStr, holidays = null) {
+  const start = new Date(startDateStr + "T00:00:00");
+  const end = new Date(endDateStr + "T00:00:00");
+
+  if (isNaN(start) || isNaN(end)) return null;
+  if (end < start) return null;
+
+  let count = 0;
+  const d = new Date(start);
+
+  while (d <= end) {
+    const day = d.getDay(); // 0=Sun, 6=Sat
+    if (day !== 0 && day !== 6 && !holidays?.has(localDateStr(d))) count++;
+    d.setDate(d.getDate() + 1);
+  }
+  return count;
+}
+
+export function getLeavePeriod(dateStr = todayStr()) {
+  const year = Number(dateStr.slice(0, 4));
+  const startYear = dateStr.slice(5) >= LEAVE_YEAR_START ? year : year - 1;
+  const start = `${startYear}-${LEAVE_YEAR_START}`;
+  const end = addDays(`${startYear + 1}-${LEAVE_YEAR_START}`, -1);
+  const label =
+    LEAVE_YEAR_START === "01-01" ? String(startYear) : `${startYear}/${String(startYear + 1).slice(2)}`;
+  return { start, end, label };
+}
+
+export function clampToPeriod(dateStr, period) {
+  if (dateStr < period.start) return period.start;
+  if (dateStr > period.end) return period.end;
+  return dateStr;
+}
+
+// First date inside the period matching "MM-DD" (e.g. "03-31" in a calendar year -> March 31 of that year)
+export function monthDayInPeriod(monthDay, period) {
+  const startYear = Number(period.start.slice(0, 4));
+  const candidate = `${startYear}-${monthDay}`;
+  return candidate >= period.start ? candidate : `${startYear + 1}-${monthDay}`;
+}
+
+// Every leave period touched by [startDateStr, endDateStr], in order
+export function getLeavePeriodsInRange(startDateStr, endDateStr) {
+  const periods = [];
+  let period = getLeavePeriod(startDateStr);
+  while (period.start <= endDateStr) {
+    periods.push(period);
+    period = getLeavePeriod(addDays(period.end, 1));
+  }
+  return periods;
+}
+
+// Days of a request that fall inside a period. Requests fully inside keep their stored
+// days_count; requests crossing a boundary are split by business day.
+export function daysInPeriod(r, period, holidays = null) {
+  if (r.start_date >= period.start && r.end_date <= period.end) return r.days_count || 0;
+  const from = r.start_date > period.start ? r.start_date : period.start;
+  const to = r.end_date < period.end ? r.end_date : period.end;
+  if (from > to) return 0;
+  return countBusinessDays(from, to, holidays) || 0;
+}
@@ -0,0 +1,108 @@
+// ---------------------------
+// Eligibility rules (pto_types.eligibility_rule)
+// A rule is a list of clauses separated by ";" — all of them must pass. Empty = everyone.
+//
+//   students                    only users flagged is_student (legacy: STUDENTS_ONLY)
+//   country=AR,ES               user's country is one of these (country!=US to exclude)
+//   tenure>=6m                  time since hire_date: 90d, 6m, 1y
+//   employment=full_time        users.employment_type: full_time, part_time, contractor
+//   once                        one request per lifetime (e.g. Marriage)
+//
+// e.g. "country=ES; tenure>=1y; employment=full_time,part_time"
+// ---------------------------
+export const EMPLOYMENT_TYPES = ["full_time", "part_time", "contractor"];
+
+const TENURE_UNITS = { d: "days", m: "months", y: "years" };
+
+function parseClause(raw) {
+  const clause = raw.trim();
+  if (!clause) return null;
+
+  const lower = clause.toLowerCase();
+  if (lower === "students" || clause === "STUDENTS_ONLY") return { kind: "students" };
+  if (lower === "once") return { kind: "once" };
+
+  let m = clause.match(/^country\s*(!?=)\s*([A-Za-z]{2}(?:\s*,\s*[A-Za-z]{2})*)$/i);
+  if (m) {
+    return {
+      kind: "country",
+      negate: m[1] === "!=",
+      values: m[2].split(",").map((c) => c.trim().toUpperCase()),
+    };
+  }
+
+  m = clause.match(/^tenure\s*>=\s*(\d+)\s*([dmy])$/i);
+  if (m) return { kind: "tenure", amount: Number(m[1]), unit: m[2].toLowerCase() };
+
+  m = clause.match(/^employment\s*=\s*([a-z_]+(?:\s*,\s*[a-z_]+)*)$/i);
+  if (m) {
+    const values = m[1].split(",").map((v) => v.trim().toLowerCase());
+    if (values.every((v) => EMPLOYMENT_TYPES.includes(v))) return { kind: "employment", values };
+  }
+
+  throw new Error(`Unknown eligibility clause "${clause}"`);
+}
+
+// "country=AR; once" -> [{ kind: "country", ... }, { kind: "once" }]; throws on a bad clause
+export function parseEligibilityRule(rule) {
+  return (rule || "").split(";").map(parseClause).filter(Boolean);
+}
+
+function addTenure(dateStr, amount, unit) {
+  const d = new Date(dateStr + "T00:00:00Z");
+  if (unit === "d") d.setUTCDate(d.getUTCDate() + amount);
+  if (unit === "m") d.setUTCMonth(d.getUTCMonth() + amount);
+  if (unit === "y") d.setUTCFullYear(d.getUTCFullYear() + amount);
+  return d.toISOString().split("T")[0];
+}
+
+// { ok, reason } for a user and a pto_types row.
+// ctx.today: date to measure tenure at (YYYY-MM-DD, default today).
+// ctx.usedTypes: Set of "category::type" keys the user already has pending/approved leave for;
+// "once" is only enforced when it is given (request time), so balances keep showing the type.
+export function checkEligibility(user, ptoType, { today = new Date().toISOString().split("T")[0], usedTypes } = {}) {
+  let clauses;
+  try {
+    clauses = parseEligibilityRule(ptoType.eligibility_rule);
+  } catch (e) {
+    console.error(`Invalid eligibility_rule for ${ptoType.name}:`, e.message);
+    return { ok: false, reason: `${ptoType.name} has an invalid eligibility rule, contact an admin` };
+  }
+
+  for (const c of clauses) {
+    if (c.kind === "students" && !user.is_student) {
+      return { ok: false, reason: "Only students can request this leave type" };
+    }
+
+    if (c.kind === "country") {
+      const inList = c.values.includes((user.country || "").toUpperCase());
+      if (inList === c.negate) {
+        return {
+          ok: false,
+          reason: c.negate
+            ? `Not available in ${user.country}`
+            : `Only available in ${c.values.join(", ")}`,
+        };
+      }
+    }
+
+    if (c.kind === "tenure") {
+      const needed = `${c.amount} ${TENURE_UNITS[c.unit]}`;
+      if (!user.hire_date) return { ok: false, reason: `Needs ${needed} of tenure (start date not set)` };
+      const eligibleFrom = addTenure(user.hire_date, c.amount, c.unit);
+      if (today < eligibleFrom) {
+        return { ok: false, reason: `Needs ${needed} of tenure (available from ${eligibleFrom})` };
+      }
+    }
+
+    if (c.kind === "employment" && !c.values.includes(user.employment_type || "full_time")) {
+      return { ok: false, reason: `Only for ${c.values.join(" / ").replace(/_/g, "-")} employees` };
+    }
+
+    if (c.kind === "once" && usedTypes?.has(`${ptoType.category}::${ptoType.name}`)) {
+      return { ok: false, reason: `${ptoType.name} can only be taken once` };
+    }
+  }
+
+  return { ok: true };
+}
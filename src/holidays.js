@@ -0,0 +1,104 @@
+import { readFileSync } from "node:fs";
+import { supabase } from "./supabase.js";
+
+// ---------------------------
+// Public holiday calendars
+// Bundled national calendars live in data/holidays.json, keyed by country ("AR") or
+// country-region ("ES-MD"). Admin uploads go to the `holidays` table and are merged on top.
+// ---------------------------
+const BUNDLED = JSON.parse(readFileSync(new URL("./data/holidays.json", import.meta.url), "utf8"));
+
+function calendarKeys(country, region) {
+  if (!country) return [];
+  const c = country.toUpperCase();
+  return region ? [c, `${c}-${region.toUpperCase()}`] : [c];
+}
+
+// Holidays for a user's country/region between two dates (inclusive), as a Map date -> name
+export async function getHolidays(user, startDateStr, endDateStr) {
+  const holidays = new Map();
+  const keys = calendarKeys(user?.country, user?.region);
+  if (keys.length === 0) return holidays;
+
+  for (const key of keys) {
+    for (const h of BUNDLED[key] || []) {
+      if (h.date >= startDateStr && h.date <= endDateStr) holidays.set(h.date, h.name);
+    }
+  }
+
+  const { data, error } = await supabase
+    .from("holidays")
+    .select("date, name, region")
+    .eq("country", user.country.toUpperCase())
+    .gte("date", startDateStr)
+    .lte("date", endDateStr);
+
+  if (error) {
+    console.error("Error loading holidays:", error);
+    return holidays;
+  }
+
+  for (const h of data || []) {
+    if (h.region && h.region.toUpperCase() !== (user.region || "").toUpperCase()) continue;
+    holidays.set(h.date, h.name);
+  }
+
+  return holidays;
+}
+
+// Parse "country,region,date,name" lines (header optional, empty region = whole country)
+export function parseHolidaysCsv(csv) {
+  const rows = [];
+  const errors = [];
+
+  const lines = (csv || "").split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+  for (const [i, line] of lines.entries()) {
+    const parts = line.split(",");
+    const [country, region, date] = parts.slice(0, 3).map((p) => p.trim());
+    if (i === 0 && country?.toLowerCase() === "country") continue;
+
+    const name = parts.slice(3).join(",").trim().replace(/^"|"$/g, "");
+    if (!/^[A-Za-z]{2}$/.test(country || "") || !/^\d{4}-\d{2}-\d{2}$/.test(date || "") || !name) {
+      errors.push(`Line ${i + 1}: expected country,region,YYYY-MM-DD,name`);
+      continue;
+    }
+
+    rows.push({
+      country: country.toUpperCase(),
+      region: region ? region.toUpperCase() : "",
+      date,
+      name,
+    });
+  }
+
+  return { rows, errors };
+}
+
+// Best-effort country from the Slack profile timezone, for auto-registration
+const TZ_COUNTRIES = {
+  "Europe/Madrid": "ES",
+  "Atlantic/Canary": "ES",
+  "Africa/Ceuta": "ES",
+  "America/New_York": "US",
+  "America/Chicago": "US",
+  "America/Denver": "US",
+  "America/Phoenix": "US",
+  "America/Los_Angeles": "US",
+  "America/Anchorage": "US",
+  "Pacific/Honolulu": "US",
+};
+
+export function countryFromTimezone(tz) {
+  if (!tz) return null;
+  if (tz.startsWith("America/Argentina/") || tz === "America/Buenos_Aires") return "AR";
+  return TZ_COUNTRIES[tz] || null;
+}
+
+export async function saveHolidays(rows) {
+  const { data, error } = await supabase
+    .from("holidays")
+    .upsert(rows, { onConflict: "country,region,date" })
+    .select();
+
+  return { saved: data || [], error };
+}
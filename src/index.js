@@ -1,6 +1,26 @@
 import "dotenv/config";
 import express from "express";
 import { supabase } from "./supabase.js";
+import { getHolidays, parseHolidaysCsv, saveHolidays, countryFromTimezone } from "./holidays.js";
+import { checkEligibility, EMPLOYMENT_TYPES } from "./eligibility.js";
+import {
+  roundDays,
+  daysBetween,
+  localDateStr,
+  todayStr,
+  isValidDateStr,
+  addDays,
+  countBusinessDays,
+  getLeavePeriod,
+  clampToPeriod,
+  monthDayInPeriod,
+  getLeavePeriodsInRange,
+  daysInPeriod,
+} from "./dates.js";
+import { typeKey, describeAllowanceSources, computeTypeBalance } from "./balance.js";
+import { evaluatePolicyRules, requestsConflict } from "./policy.js";
+import { documentKey, saveFile, readStoredFile } from "./storage.js";
+import { createHmac, timingSafeEqual } from "node:crypto";
 import pkg from "@slack/bolt";
 const { App, ExpressReceiver } = pkg;
 
@@ -16,9 +36,12 @@ const PTO_CHANNEL_ID = process.env.PTO_CHANNEL_ID || "C0AD8JE79FA";
 const PTO_TYPES = {
   "Short-term leave": ["Vacation", "Out Sick", "Jury Duty", "Study", "Marriage", "Relocation"],
   "Extended leave": ["Parental Leave", "Medical Leave"],
-  Other: ["Conference"],
+  Other: ["Conference", "Time off in lieu"],
 };
 
+// Earned by working weekends/holidays (kind = "earn" requests), spent like any other type
+const TOIL_TYPE = { category: "Other", name: "Time off in lieu" };
+
 // helper construir home blocks
 function formatDate(d) {
   return d;
@@ -41,10 +64,6 @@ function countsAgainstBalance(category, type) {
   return category === "Short-term leave" && type === "Vacation";
 }
 
-function typeKey(category, name) {
-  return `${category}::${name}`;
-}
-
 async function getPtoType(category, type) {
   const { data, error } = await supabase
     .from("pto_types")
@@ -57,27 +76,601 @@ async function getPtoType(category, type) {
   return { ptoType: data, error: null };
 }
 
-async function getUsedDaysForType(userId, category, type) {
+// Inputs for the balance of one leave period: approved and pending requests, carried-over days,
+// manual adjustments (plus unexpired credits from earlier periods), allowance overrides and tenure
+// rules, and the user's holidays (to split requests crossing the period boundary).
+// Pass { category, type } to load a single type.
+async function loadBalanceInputs(user, period, filter = null) {
+  let requestsQuery = supabase
+    .from("pto_requests")
+    .select("id, start_date, end_date, days_count, category, type, status")
+    .eq("user_id", user.id)
+    .eq("kind", "leave")
+    .in("status", ["pending", "approved"])
+    .lte("start_date", period.end)
+    .gte("end_date", period.start);
+
+  let carryoverQuery = supabase
+    .from("pto_carryovers")
+    .select("category, type, days, expires_on")
+    .eq("user_id", user.id)
+    .eq("period_start", period.start);
+
+  let adjustmentQuery = supabase
+    .from("pto_balance_adjustments")
+    .select("id, category, type, days, effective_date, expires_on")
+    .eq("user_id", user.id)
+    .gte("effective_date", period.start)
+    .lte("effective_date", period.end);
+
+  // expiring credits (time off in lieu) don't roll over with the period: they count until expires_on
+  let creditQuery = supabase
+    .from("pto_balance_adjustments")
+    .select("id, category, type, days, effective_date, expires_on")
+    .eq("user_id", user.id)
+    .gt("days", 0)
+    .lt("effective_date", period.start)
+    .gte("expires_on", period.start);
+
+  let overrideQuery = supabase
+    .from("pto_allowance_overrides")
+    .select("category, type, annual_allowance_days")
+    .eq("user_id", user.id);
+
+  let tenureQuery = supabase
+    .from("pto_tenure_rules")
+    .select("category, type, after_years, extra_days_per_year, max_extra_days");
+
+  if (filter) {
+    requestsQuery = requestsQuery.eq("category", filter.category).eq("type", filter.type);
+    carryoverQuery = carryoverQuery.eq("category", filter.category).eq("type", filter.type);
+    adjustmentQuery = adjustmentQuery.eq("category", filter.category).eq("type", filter.type);
+    creditQuery = creditQuery.eq("category", filter.category).eq("type", filter.type);
+    overrideQuery = overrideQuery.eq("category", filter.category).eq("type", filter.type);
+    tenureQuery = tenureQuery.eq("category", filter.category).eq("type", filter.type);
+  }
+
+  const [requestsResult, carryoverResult, adjustmentResult, creditResult, overrideResult, tenureResult, holidays] =
+    await Promise.all([
+      requestsQuery,
+      carryoverQuery,
+      adjustmentQuery,
+      creditQuery,
+      overrideQuery,
+      tenureQuery,
+      getHolidays(user, period.start, period.end),
+    ]);
+
+  for (const result of [requestsResult, carryoverResult, adjustmentResult, creditResult, overrideResult, tenureResult]) {
+    if (result.error) return { inputs: null, error: result.error };
+  }
+
+  const { prior, error: priorError } = await loadPriorCreditUse(user, period, creditResult.data || [], filter);
+  if (priorError) return { inputs: null, error: priorError };
+
+  return {
+    inputs: {
+      user,
+      approved: (requestsResult.data || []).filter((r) => r.status === "approved"),
+      pending: (requestsResult.data || []).filter((r) => r.status === "pending"),
+      carryovers: carryoverResult.data || [],
+      adjustments: [...(adjustmentResult.data || []), ...(creditResult.data || [])],
+      priorRequests: prior.requests,
+      priorCredits: prior.credits,
+      overrides: overrideResult.data || [],
+      tenureRules: tenureResult.data || [],
+      holidays,
+    },
+    error: null,
+  };
+}
+
+// What the balance needs to know how much of the credits from earlier periods is left: the
+// approved requests since the oldest of them, and every expiring credit of that time (they are
+// used soonest expiry first, so credits that expired before the period took part of the usage).
+async function loadPriorCreditUse(user, period, carriedCredits, filter = null) {
+  if (carriedCredits.length === 0) return { prior: { requests: [], credits: [] }, error: null };
+  const since = carriedCredits.reduce((min, c) => (c.effective_date < min ? c.effective_date : min), period.start);
+
+  let requestsQuery = supabase
+    .from("pto_requests")
+    .select("id, start_date, end_date, days_count, category, type, status")
+    .eq("user_id", user.id)
+    .eq("kind", "leave")
+    .eq("status", "approved")
+    .gte("end_date", since)
+    .lt("start_date", period.start);
+
+  let creditsQuery = supabase
+    .from("pto_balance_adjustments")
+    .select("id, category, type, days, effective_date, expires_on")
+    .eq("user_id", user.id)
+    .gt("days", 0)
+    .not("expires_on", "is", null)
+    .gte("effective_date", since)
+    .lt("effective_date", period.start);
+
+  if (filter) {
+    requestsQuery = requestsQuery.eq("category", filter.category).eq("type", filter.type);
+    creditsQuery = creditsQuery.eq("category", filter.category).eq("type", filter.type);
+  }
+
+  const [requestsResult, creditsResult] = await Promise.all([requestsQuery, creditsQuery]);
+  if (requestsResult.error) return { prior: null, error: requestsResult.error };
+  if (creditsResult.error) return { prior: null, error: creditsResult.error };
+
+  return { prior: { requests: requestsResult.data || [], credits: creditsResult.data || [] }, error: null };
+}
+
+// Balance of a single type, e.g. for the /pto/request check
+async function getTypeBalance(
+  user,
+  ptoType,
+  period = getLeavePeriod(),
+  asOf = clampToPeriod(todayStr(), period),
+  accruedAsOf = asOf
+) {
+  const { inputs, error } = await loadBalanceInputs(user, period, {
+    category: ptoType.category,
+    type: ptoType.name,
+  });
+  if (error) return { balance: null, error };
+  return { balance: computeTypeBalance(ptoType, inputs, period, asOf, accruedAsOf), error: null };
+}
+
+// ---------------------------
+// Balance adjustments ledger (credit > 0, debit < 0)
+// ---------------------------
+async function createAdjustment({
+  userId,
+  category,
+  type,
+  days,
+  reason,
+  createdBy,
+  effectiveDate = todayStr(),
+  expiresOn = null,
+  sourceRequestId = null,
+}) {
+  const { data, error } = await supabase
+    .from("pto_balance_adjustments")
+    .insert([
+      {
+        user_id: userId,
+        category,
+        type,
+        days,
+        reason,
+        created_by: createdBy,
+        effective_date: effectiveDate,
+        expires_on: expiresOn,
+        source_request_id: sourceRequestId,
+      },
+    ])
+    .select()
+    .single();
+
+  return { adjustment: data, error };
+}
+
+function formatAdjustment(a) {
+  const sign = a.days > 0 ? "+" : "";
+  const expiry = a.expires_on ? `, vence el ${a.expires_on}` : "";
+  return `${sign}${a.days} *${a.type}* (${a.effective_date}${expiry}) — ${a.reason}`;
+}
+
+// DM the employee about an adjustment to their balance
+async function notifyAdjustment(client, adjustment) {
+  try {
+    const { data: employee } = await supabase
+      .from("users")
+      .select("slack_id")
+      .eq("id", adjustment.user_id)
+      .single();
+
+    if (!employee?.slack_id) return;
+
+    const dm = await client.conversations.open({ users: employee.slack_id });
+    await client.chat.postMessage({
+      channel: dm.channel.id,
+      text: `🧾 *Ajuste de balance*\n${formatAdjustment(adjustment)}`,
+    });
+  } catch (e) {
+    console.error("Error notifying adjustment:", e.message || e);
+  }
+}
+
+// Sum of pending + approved days of a type, across all periods
+async function getOpenDays(userId, category, type, statuses = ["pending", "approved"]) {
   const { data, error } = await supabase
     .from("pto_requests")
     .select("days_count")
     .eq("user_id", userId)
-    .eq("status", "approved")
     .eq("category", category)
-    .eq("type", type);
+    .eq("type", type)
+    .eq("kind", "leave")
+    .in("status", statuses);
 
-  if (error) return { used: null, error };
-  const used = (data || []).reduce((sum, r) => sum + (r.days_count || 0), 0);
-  return { used, error: null };
+  if (error) return { days: null, error };
+  return { days: (data || []).reduce((sum, r) => sum + (r.days_count || 0), 0), error: null };
 }
 
-function checkEligibility(user, ptoType) {
-  if (ptoType.eligibility_rule === "STUDENTS_ONLY" && !user.is_student) {
-    return { ok: false, reason: "Only students can request this leave type" };
+// Checks a request against the balance of every leave period it touches.
+// New requests must fit in available_days (other pending requests reserve days). When
+// approving, the request is itself one of those reservations, so it is re-checked against
+// remaining_days (approved days only) instead.
+// Carried-over days only count if the request starts before they expire; the allowance
+// counts what has accrued to date.
+// releasing: the current version of a request being edited, whose days are given back.
+async function checkRequestBalance(user, ptoType, r, holidays, { approving = false, releasing = null } = {}) {
+  if (ptoType.is_unlimited || !ptoType.counts_against_balance) return { ok: true };
+
+  const released =
+    releasing && typeKey(releasing.category, releasing.type) === typeKey(ptoType.category, ptoType.name) ? releasing : null;
+  const releasedHolidays = released ? await getHolidays(user, released.start_date, released.end_date) : null;
+
+  for (const period of getLeavePeriodsInRange(r.start_date, r.end_date)) {
+    const asOf = clampToPeriod(r.start_date, period);
+    const accruedAsOf = clampToPeriod(todayStr(), period);
+    const { balance, error } = await getTypeBalance(user, ptoType, period, asOf, accruedAsOf);
+    if (error) return { ok: false, error };
+
+    const requested = daysInPeriod(r, period, holidays);
+    let limit = approving ? balance.remaining_days : balance.available_days;
+    if (released) limit = roundDays(limit + daysInPeriod(released, period, releasedHolidays));
+
+    if (requested > limit) {
+      return {
+        ok: false,
+        details: {
+          requested_days: requested,
+          remaining_days: limit,
+          allowance_days: balance.allowance_days,
+          accrued_days: balance.accrued_days,
+          carried_over_days: balance.carried_over_days,
+          used_days: balance.used_days,
+          reserved_days: approving ? 0 : balance.reserved_days,
+          period,
+          category: ptoType.category,
+          type: ptoType.name,
+        },
+      };
+    }
   }
+
   return { ok: true };
 }
 
+// Balances for every type the user is eligible for, scoped to one leave period.
+// Shared by /pto balance, GET /pto/balance/:slack_id and the Home tab.
+// A future asOf projects the balance (accrual up to that date).
+async function getBalances(user, period = getLeavePeriod(), asOf = clampToPeriod(todayStr(), period)) {
+  const { data: types, error: typesError } = await supabase
+    .from("pto_types")
+    .select("*")
+    .order("category", { ascending: true })
+    .order("name", { ascending: true });
+
+  if (typesError) return { period, balances: null, error: typesError };
+
+  const { inputs, error: inputsError } = await loadBalanceInputs(user, period);
+  if (inputsError) return { period, balances: null, error: inputsError };
+
+  const balances = (types || [])
+    .filter((t) => checkEligibility(user, t).ok)
+    .map((t) => computeTypeBalance(t, inputs, period, asOf));
+
+  return { period, balances, error: null };
+}
+
+function balanceLine(b, { explain = false } = {}) {
+  if (b.unlimited) {
+    return `• *${b.type}*: ∞ (usado: ${b.used_days}${b.reserved_days ? `, reservado: ${b.reserved_days}` : ""})`;
+  }
+  // types with no allowance (e.g. time off in lieu) only have what was credited
+  const total = b.allowance_days ? `/${b.allowance_days}` : "";
+  let line = `• *${b.type}*: ${b.available_days}${total} disponibles (usado: ${b.used_days}, reservado: ${b.reserved_days})`;
+  if (b.accrual_mode !== "upfront") line += ` · acumulado: ${b.accrued_days}`;
+  if (b.carried_over_days > 0) {
+    line += ` · arrastre: ${b.carried_over_days}`;
+    if (b.expiring_days > 0) line += ` · vencen el ${b.carryover_expires_on}: ${b.expiring_days}`;
+  }
+  if (b.adjustment_days) line += ` · ajustes: ${b.adjustment_days > 0 ? "+" : ""}${b.adjustment_days}`;
+  if (b.next_credit_expiry) line += ` · vencen el ${b.next_credit_expiry.date}: ${b.next_credit_expiry.days}`;
+  if (explain && b.allowance_sources?.length > 1) {
+    line += `\n      _${b.allowance_days} días: ${describeAllowanceSources(b.allowance_sources)}_`;
+  }
+  return line;
+}
+
+// ---------------------------
+// Partial days (half-day AM/PM and hourly requests)
+// ---------------------------
+const HOURS_PER_DAY = Number(process.env.HOURS_PER_DAY || 8);
+
+const DAY_PART_OPTIONS = [
+  { value: "full", label: "Full day(s)" },
+  { value: "am", label: "Half day — morning" },
+  { value: "pm", label: "Half day — afternoon" },
+  { value: "hours", label: "Hours" },
+];
+
+// "2026-03-02 → 2026-03-06", "2026-03-02 (AM)" or "2026-03-02 (3h)"
+function formatRequestDates(r) {
+  if (r.day_part === "am") return `${r.start_date} (AM)`;
+  if (r.day_part === "pm") return `${r.start_date} (PM)`;
+  if (r.day_part === "hours") return `${r.start_date} (${r.hours}h)`;
+  return `${r.start_date} → ${r.end_date}`;
+}
+
+// Approval DM: summary lines (falsy ones are skipped) plus the Approve/Deny buttons.
+// Change requests (edits of approved requests) use their own actions, with the change id.
+function approvalBlocks(title, requestId, lines, { approveAction = "pto_approve_btn", denyAction = "pto_deny_btn" } = {}) {
+  return [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*${title}*\n` + lines.filter(Boolean).map((l) => `• ${l}`).join("\n"),
+      },
+    },
+    {
+      type: "actions",
+      elements: [
+        {
+          type: "button",
+          text: { type: "plain_text", text: "Approve ✅" },
+          style: "primary",
+          action_id: approveAction,
+          value: String(requestId),
+        },
+        {
+          type: "button",
+          text: { type: "plain_text", text: "Deny ❌" },
+          style: "danger",
+          action_id: denyAction,
+          value: String(requestId),
+        },
+      ],
+    },
+  ];
+}
+
+// Blocks for the request modal (shared by /pto request and the Home "Create OOO" button).
+// initial: a request to pre-fill the fields with (the Home "Edit" button).
+function requestModalBlocks(typeOptions, initial = null) {
+  const dayPartOptions = DAY_PART_OPTIONS.map((o) => ({
+    text: { type: "plain_text", text: o.label },
+    value: o.value,
+  }));
+  const initialType = initial && typeOptions.find((o) => o.value === `${initial.category}||${initial.type}`);
+
+  return [
+    {
+      type: "input",
+      block_id: "pto_type_block",
+      label: { type: "plain_text", text: "OOO Type" },
+      element: {
+        type: "static_select",
+        action_id: "pto_type",
+        placeholder: { type: "plain_text", text: "Select type" },
+        options: typeOptions,
+        ...(initialType && { initial_option: initialType }),
+      },
+    },
+    {
+      type: "input",
+      block_id: "start_date_block",
+      label: { type: "plain_text", text: "Start date" },
+      element: { type: "datepicker", action_id: "start_date", ...(initial && { initial_date: initial.start_date }) },
+    },
+    {
+      type: "input",
+      block_id: "end_date_block",
+      label: { type: "plain_text", text: "End date" },
+      hint: { type: "plain_text", text: "For half-day or hourly requests use the same start and end date." },
+      element: { type: "datepicker", action_id: "end_date", ...(initial && { initial_date: initial.end_date }) },
+    },
+    {
+      type: "input",
+      block_id: "day_part_block",
+      label: { type: "plain_text", text: "Duration" },
+      element: {
+        type: "static_select",
+        action_id: "day_part",
+        options: dayPartOptions,
+        initial_option: dayPartOptions.find((o) => o.value === initial?.day_part) || dayPartOptions[0],
+      },
+    },
+    {
+      type: "input",
+      block_id: "hours_block",
+      optional: true,
+      label: { type: "plain_text", text: "Hours (only for hourly requests)" },
+      element: {
+        type: "number_input",
+        action_id: "hours",
+        is_decimal_allowed: true,
+        min_value: "0.5",
+        // the API wants less than a full day (HOURS_PER_DAY hours is a full-day request)
+        max_value: String(HOURS_PER_DAY - 0.5),
+        ...(initial?.hours && { initial_value: String(initial.hours) }),
+      },
+    },
+    {
+      type: "input",
+      block_id: "reason_block",
+      optional: true,
+      label: { type: "plain_text", text: "Reason (optional)" },
+      element: {
+        type: "plain_text_input",
+        action_id: "reason",
+        multiline: true,
+        ...(initial?.reason && { initial_value: initial.reason }),
+      },
+    },
+    {
+      type: "input",
+      block_id: "document_block",
+      optional: true,
+      label: { type: "plain_text", text: "Supporting document" },
+      hint: { type: "plain_text", text: "Required for some leave types (e.g. a medical or birth certificate)." },
+      element: { type: "file_input", action_id: "document", max_files: 1 },
+    },
+  ];
+}
+
+// ---------------------------
+// Supporting documents (pto_types.requires_document)
+// Due before the leave starts, or document_due_days after it ends.
+// ---------------------------
+function documentDueOn(ptoType, r) {
+  if (!ptoType?.requires_document) return null;
+  return ptoType.document_due_days == null ? r.start_date : addDays(r.end_date, ptoType.document_due_days);
+}
+
+function documentLine(r) {
+  if (r.document_status === "received") return "📎 Document: received";
+  if (r.document_status === "missing") {
+    return `📎 Document: *missing* (due ${r.document_due_on}${r.document_due_on < todayStr() ? ", overdue" : ""})`;
+  }
+  return null;
+}
+
+// Store a file and attach it to a request; marks the request's document as received
+async function attachDocument(requestId, uploaderId, { name, mimetype, buffer, slackFileId = null }) {
+  const { key, error: storageError } = await saveFile(documentKey(requestId, name), buffer, mimetype);
+  if (storageError) return { document: null, error: storageError };
+
+  const { data: document, error } = await supabase
+    .from("pto_request_documents")
+    .insert([
+      {
+        request_id: requestId,
+        file_name: name,
+        mime_type: mimetype,
+        size_bytes: buffer.length,
+        storage_key: key,
+        slack_file_id: slackFileId,
+        uploaded_by: uploaderId,
+      },
+    ])
+    .select()
+    .single();
+
+  if (error) return { document: null, error };
+
+  await supabase
+    .from("pto_requests")
+    .update({ document_status: "received" })
+    .eq("id", requestId)
+    .eq("document_status", "missing");
+
+  return { document, error: null };
+}
+
+// Download a file shared in Slack (bot needs files:read) and attach it
+async function attachSlackFile(requestId, uploaderId, file) {
+  const resp = await fetch(file.url_private_download || file.url_private, {
+    headers: { Authorization: `Bearer ${process.env.SLACK_BOT_TOKEN}` },
+  });
+  if (!resp.ok) return { document: null, error: new Error(`Slack file download failed (${resp.status})`) };
+
+  const buffer = Buffer.from(await resp.arrayBuffer());
+  return attachDocument(requestId, uploaderId, {
+    name: file.name,
+    mimetype: file.mimetype,
+    buffer,
+    slackFileId: file.id,
+  });
+}
+
+// Modal to log worked days as time off in lieu (shared by /pto earn and the Home button)
+function earnModalView() {
+  return {
+    type: "modal",
+    callback_id: "pto_earn_submit",
+    title: { type: "plain_text", text: "Log worked days" },
+    submit: { type: "plain_text", text: "Send" },
+    close: { type: "plain_text", text: "Cancel" },
+    blocks: [
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: `Once your manager approves, each day is credited to your *${TOIL_TYPE.name}* balance.`,
+          },
+        ],
+      },
+      {
+        type: "input",
+        block_id: "start_date_block",
+        label: { type: "plain_text", text: "First day worked" },
+        element: { type: "datepicker", action_id: "start_date" },
+      },
+      {
+        type: "input",
+        block_id: "end_date_block",
+        label: { type: "plain_text", text: "Last day worked" },
+        element: { type: "datepicker", action_id: "end_date" },
+      },
+      {
+        type: "input",
+        block_id: "reason_block",
+        label: { type: "plain_text", text: "What did you work on?" },
+        element: { type: "plain_text_input", action_id: "reason", multiline: true },
+      },
+    ],
+  };
+}
+
+// Types the user already has pending/approved leave for (any date), for "once" eligibility
+async function loadUsedTypes(userId, excludeRequestId = null) {
+  let query = supabase
+    .from("pto_requests")
+    .select("category, type")
+    .eq("user_id", userId)
+    .eq("kind", "leave")
+    .in("status", ["pending", "approved"]);
+  if (excludeRequestId) query = query.neq("id", excludeRequestId);
+  const { data, error } = await query;
+
+  return { usedTypes: new Set((data || []).map((r) => typeKey(r.category, r.type))), error };
+}
+
+// pto_types split into the ones the user can request now and the rest (with the reason)
+async function getEligibleTypes(user) {
+  const [{ data: types, error: typesError }, { usedTypes, error: usedError }] = await Promise.all([
+    supabase
+      .from("pto_types")
+      .select("*")
+      .order("category", { ascending: true })
+      .order("name", { ascending: true }),
+    loadUsedTypes(user.id),
+  ]);
+
+  if (typesError || usedError) return { eligible: [], ineligible: [], error: typesError || usedError };
+
+  const eligible = [];
+  const ineligible = [];
+  for (const t of types || []) {
+    const elig = checkEligibility(user, t, { usedTypes });
+    if (elig.ok) eligible.push(t);
+    else ineligible.push({ type: t, reason: elig.reason });
+  }
+
+  return { eligible, ineligible, error: null };
+}
+
+// Options for the request modal type select
+function typeOptions(types) {
+  return types.map((t) => ({
+    text: { type: "plain_text", text: `${t.name} (${t.category})` },
+    value: `${t.category}||${t.name}`,
+  }));
+}
+
 async function requireAdmin(slack_id) {
   const { data, error } = await supabase
     .from("users")
@@ -96,6 +689,7 @@ async function getUserBySlackId(slack_id) {
     .from("users")
     .select("id, is_admin")
     .eq("slack_id", slack_id)
+    .eq("is_system", false) // the system user only signs automatic decisions
     .single();
 
   if (error) return { user: null, error };
@@ -156,7 +750,7 @@ async function getOrCreateUser(slack_id, slackClient, retries = 3) {
           manager_id: null,
           is_admin: false,
           is_student: false,
-          country: null,
+          country: countryFromTimezone(profile.tz),
         },
       ])
       .select()
@@ -168,6 +762,8 @@ async function getOrCreateUser(slack_id, slackClient, retries = 3) {
     }
 
     console.log(`✅ Auto-registered new user: ${name} (${slack_id})`);
+    // not awaited: this runs before slash commands ack, and the admin DMs can wait
+    promptAdminsForStartDates(slackClient, [newUser]);
     return { user: newUser, created: true, error: null };
     
   } catch (e) {
@@ -181,10 +777,61 @@ async function getOrCreateUser(slack_id, slackClient, retries = 3) {
   }
 }
 
+// DM every admin asking for the start date of newly registered users (allowances are
+// prorated from it). Never throws (registration must not fail because of a DM), so callers
+// can fire it without awaiting.
+async function promptAdminsForStartDates(slackClient, newUsers) {
+  try {
+    const pending = (newUsers || []).filter((u) => !u.hire_date);
+    if (pending.length === 0) return;
+
+    const { data: admins } = await supabase
+      .from("users")
+      .select("slack_id")
+      .eq("is_admin", true);
+
+    // Slack allows 50 blocks per message
+    const userBlocks = pending.slice(0, 45).map((u) => ({
+      type: "section",
+      text: { type: "mrkdwn", text: `• ${u.slack_id ? `<@${u.slack_id}>` : u.name}` },
+      accessory: {
+        type: "button",
+        text: { type: "plain_text", text: "Set start date" },
+        action_id: "admin_set_employment_dates",
+        value: String(u.id),
+      },
+    }));
+
+    for (const admin of admins || []) {
+      if (!admin.slack_id) continue;
+      const dm = await slackClient.conversations.open({ users: admin.slack_id });
+      await slackClient.chat.postMessage({
+        channel: dm.channel.id,
+        text: `📝 ${pending.length} new user(s) need a start date`,
+        blocks: [
+          {
+            type: "section",
+            text: {
+              type: "mrkdwn",
+              text:
+                `📝 *${pending.length} new user(s) registered*\n` +
+                `Please fill in their start date so their allowances are prorated correctly.` +
+                (pending.length > userBlocks.length ? `\n_Showing the first ${userBlocks.length}; use "✏️ Edit allowances" for the rest._` : ""),
+            },
+          },
+          ...userBlocks,
+        ],
+      });
+    }
+  } catch (e) {
+    console.error("Error prompting admins for start dates:", e.message || e);
+  }
+}
+
 async function canDecideRequest(request_id, deciderUserId, deciderIsAdmin) {
   const { data: reqData, error } = await supabase
     .from("pto_requests")
-    .select("id, approver_id, status")
+    .select("id, user_id, approver_id, status, escalated_at, escalated_to")
     .eq("id", request_id)
     .single();
 
@@ -194,70 +841,588 @@ async function canDecideRequest(request_id, deciderUserId, deciderIsAdmin) {
     return { ok: false, error: `Request is not pending (current: ${reqData.status})` };
   }
 
+  // nobody decides their own leave, whichever way it reached them (admin, delegation, escalation)
+  if (reqData.user_id === deciderUserId) return { ok: false, error: "You can't decide your own request" };
+
   if (deciderIsAdmin) return { ok: true, request: reqData };
 
   if (!reqData.approver_id) return { ok: false, error: "Request has no approver assigned" };
 
   const isApprover = reqData.approver_id === deciderUserId;
   if (!isApprover) {
-    return { ok: false, error: "Not authorized: only the assigned approver or an admin can decide" };
+    // the approver's delegate (explicit, or automatic while they're away) decides on their behalf
+    if ((await delegateFor(reqData.approver_id)) === deciderUserId) {
+      return { ok: true, request: reqData, onBehalfOf: reqData.approver_id };
+    }
+    // a stale request escalated to the skip-level manager can be decided by them too
+    if (reqData.escalated_at && reqData.escalated_to === deciderUserId) {
+      return { ok: true, request: reqData, onBehalfOf: reqData.approver_id };
+    }
+    return { ok: false, error: "Not authorized: only the assigned approver, their delegate or an admin can decide" };
   }
 
   return { ok: true, request: reqData };
 }
 
-function countBusinessDays(startDateStr, endDateStr) {
-  const start = new Date(startDateStr + "T00:00:00");
-  const end = new Date(endDateStr + "T00:00:00");
+// ---------------------------
+// Approval chains (pto_approval_chains): ordered steps per type and/or duration.
+// Roles: manager (direct manager), skip_level (manager's manager), hr (any admin).
+// The request's approver_id always points at the current step's approver (null = admins).
+// ---------------------------
+const APPROVAL_ROLES = { manager: "Manager", skip_level: "Skip-level manager", hr: "HR" };
+const DEFAULT_CHAIN = ["manager"];
+
+// First active chain (by priority) matching the request, else the direct manager only
+async function resolveApprovalChain(r) {
+  const { data, error } = await supabase
+    .from("pto_approval_chains")
+    .select("*")
+    .eq("active", true)
+    .order("priority", { ascending: true });
+
+  if (error) return { steps: DEFAULT_CHAIN, error };
 
-  if (isNaN(start) || isNaN(end)) return null;
-  if (end < start) return null;
+  const chain = (data || []).find(
+    (c) =>
+      (!c.category || c.category === r.category) &&
+      (!c.type || c.type === r.type) &&
+      (c.min_days == null || r.days_count > c.min_days)
+  );
 
-  let count = 0;
-  const d = new Date(start);
+  return { steps: chain?.steps?.length ? chain.steps : DEFAULT_CHAIN, chain: chain || null, error: null };
+}
 
-  while (d <= end) {
-    const day = d.getDay(); // 0=Sun, 6=Sat
-    if (day !== 0 && day !== 6) count++;
-    d.setDate(d.getDate() + 1);
+// users.id deciding a step; a skip-level without one falls back to HR (null)
+async function stepApproverId(role, requester) {
+  if (role === "manager") return requester.manager_id || null;
+  if (role === "skip_level" && requester.manager_id) {
+    const { data: manager } = await supabase
+      .from("users")
+      .select("manager_id")
+      .eq("id", requester.manager_id)
+      .maybeSingle();
+    return manager?.manager_id || null;
   }
-  return count;
+  return null;
 }
 
-// ---------------------------
-// Slack setup (Bolt)
-// ---------------------------
-const receiver = new ExpressReceiver({
-  signingSecret: process.env.SLACK_SIGNING_SECRET,
-});
+// Rows for pto_approval_steps; the first step starts as pending, the rest wait
+async function buildApprovalSteps(requester, r) {
+  const { steps, error } = await resolveApprovalChain(r);
+  if (error) console.error("Error loading approval chains:", error);
 
-const slack = new App({
-  token: process.env.SLACK_BOT_TOKEN,
-  receiver,
-});
+  const rows = [];
+  for (const [i, role] of steps.entries()) {
+    let approverId = await stepApproverId(role, requester);
+    let fallback = null;
 
-slack.error(async (error) => {
-  console.error("SLACK_BOLT_ERROR:", error);
-});
+    // no manager: route to the default approver or the next admin in the rotation
+    if (role === "manager" && !approverId) {
+      ({ approverId, via: fallback } = await fallbackApprover());
+    }
+
+    rows.push({
+      step_order: i + 1,
+      role,
+      approver_id: approverId,
+      fallback,
+      status: i === 0 ? "pending" : "waiting",
+    });
+  }
+  return rows;
+}
 
 // ---------------------------
-// Express setup
-// IMPORTANT ORDER: receiver.router BEFORE express.json()
+// Requests from users without a manager: FALLBACK_APPROVER_SLACK_ID if set, otherwise the
+// admins take turns (round-robin over the requests routed this way so far). Types with
+// auto_approve_without_manager skip approval entirely and are decided by the system user.
 // ---------------------------
-const app = express();
+const FALLBACK_APPROVER_SLACK_ID = process.env.FALLBACK_APPROVER_SLACK_ID || null;
 
-app.use(receiver.router); // Slack endpoints live here: /slack/events
-app.use(express.json());
+async function fallbackApprover() {
+  if (FALLBACK_APPROVER_SLACK_ID) {
+    const { data: approver } = await supabase
+      .from("users")
+      .select("id")
+      .eq("slack_id", FALLBACK_APPROVER_SLACK_ID)
+      .maybeSingle();
+    if (approver) return { approverId: approver.id, via: "default_approver" };
+    console.error(`FALLBACK_APPROVER_SLACK_ID ${FALLBACK_APPROVER_SLACK_ID} is not a registered user`);
+  }
 
-app.use((req, res, next) => {
-  console.log("HTTP", req.method, req.url);
-  next();
-});
+  const [{ data: admins }, { count }] = await Promise.all([
+    supabase.from("users").select("id").eq("is_admin", true).eq("is_system", false).order("id", { ascending: true }),
+    supabase.from("pto_approval_steps").select("id", { count: "exact", head: true }).eq("fallback", "hr_rotation"),
+  ]);
 
-app.get("/", (req, res) => res.send("PTO tool alive 🟢"));
+  if (!admins || admins.length === 0) return { approverId: null, via: null };
+  return { approverId: admins[(count || 0) % admins.length].id, via: "hr_rotation" };
+}
 
-app.get("/health", (req, res) => {
-  res.json({ ok: true, service: "pto-mvp", ts: new Date().toISOString() });
+// ---------------------------
+// Auto-approval (pto_types.auto_approve): "always", or "short" for requests of at most
+// auto_approve_max_days. Never when a policy rule (e.g. a blackout) or the team coverage
+// limit is hit: those need a person. Returns the reason, or null to go through approval.
+// ---------------------------
+function autoApprovalReason(ptoType, r, { hasManager, violations = [], coverage = null }) {
+  if (violations.length > 0 || coverage?.error || coverage?.breaches?.length > 0) return null;
+
+  if (!hasManager && ptoType.auto_approve_without_manager) return "no manager assigned";
+  if (ptoType.auto_approve === "always") return `${ptoType.name} is always auto-approved`;
+  if (ptoType.auto_approve === "short" && ptoType.auto_approve_max_days != null && r.days_count <= ptoType.auto_approve_max_days) {
+    return `${ptoType.name} of up to ${ptoType.auto_approve_max_days} day(s) is auto-approved`;
+  }
+  return null;
+}
+
+let systemUserId = null;
+
+// users row that signs automatic decisions (decided_by)
+async function getSystemUserId() {
+  if (systemUserId) return systemUserId;
+  const { data } = await supabase.from("users").select("id").eq("is_system", true).limit(1);
+  systemUserId = data?.[0]?.id || null;
+  return systemUserId;
+}
+
+// FYI to admins when a request had no manager to go to (autoApproved: the auto-approval reason, if any)
+async function notifyAdminsUnrouted(client, request, requesterSlackId, steps, autoApproved) {
+  const fallback = steps?.[0]?.fallback;
+  if (!autoApproved && !fallback && steps?.[0]?.approver_id) return;
+
+  let routedTo = "nobody (no admins found)";
+  if (autoApproved) routedTo = `auto-approved (${autoApproved})`;
+  else if (steps?.[0]?.approver_id) {
+    const { data: approver } = await supabase
+      .from("users")
+      .select("slack_id")
+      .eq("id", steps[0].approver_id)
+      .maybeSingle();
+    const who = approver?.slack_id ? `<@${approver.slack_id}>` : "an admin";
+    routedTo = fallback === "default_approver" ? `${who} (default approver)` : `${who} (HR rotation)`;
+  }
+
+  const { data: admins } = await supabase.from("users").select("slack_id").eq("is_admin", true);
+  for (const admin of admins || []) {
+    if (!admin.slack_id) continue;
+    try {
+      const dm = await client.conversations.open({ users: admin.slack_id });
+      await client.chat.postMessage({
+        channel: dm.channel.id,
+        text:
+          `🧭 *Request without a manager*\n` +
+          `<@${requesterSlackId}> has no manager assigned. Their *${request.type}* request ` +
+          `(${formatRequestDates(request)}) was routed to ${routedTo}.\n` +
+          `Assign a manager with *👥 Manage teams* on the Home tab.`,
+      });
+    } catch (e) {
+      console.error(`Error notifying admin ${admin.slack_id} about unrouted request:`, e.message);
+    }
+  }
+}
+
+async function saveApprovalSteps(requestId, steps) {
+  const { error } = await supabase
+    .from("pto_approval_steps")
+    .insert(steps.map((s) => ({ ...s, request_id: requestId })));
+  if (error) console.error(`Error saving approval steps for request ${requestId}:`, error);
+  return { error };
+}
+
+// Record a decision (and the approver's comment) on a step; a denial also closes the steps still waiting
+async function closeApprovalStep(requestId, stepOrder, status, deciderId, onBehalfOf = null, comment = null) {
+  const { error } = await supabase
+    .from("pto_approval_steps")
+    .update({
+      status,
+      decided_by: deciderId,
+      decided_on_behalf_of: onBehalfOf,
+      decided_at: new Date().toISOString(),
+      comment,
+    })
+    .eq("request_id", requestId)
+    .eq("step_order", stepOrder);
+
+  if (!error && status === "denied") {
+    await supabase
+      .from("pto_approval_steps")
+      .update({ status: "skipped" })
+      .eq("request_id", requestId)
+      .eq("status", "waiting");
+  }
+  if (error) console.error(`Error closing approval step ${stepOrder} of request ${requestId}:`, error);
+}
+
+// "PTO approval (step 1/2)" for multi-step chains
+function approvalTitle(title, stepOrder, steps) {
+  return steps?.length > 1 ? `${title} (step ${stepOrder}/${steps.length})` : title;
+}
+
+// "Step 2/2 (HR)" for the step a pending request is waiting on
+function approvalStepLabel(r, steps) {
+  const current = (steps || []).find((s) => s.step_order === r.current_step);
+  if (!current || steps.length < 2) return null;
+  return `Step ${current.step_order}/${steps.length} (${APPROVAL_ROLES[current.role] || current.role})`;
+}
+
+// Approval steps for a set of requests, as { [request_id]: [steps] }
+async function loadApprovalSteps(requestIds) {
+  if (requestIds.length === 0) return {};
+  const { data } = await supabase
+    .from("pto_approval_steps")
+    .select("request_id, step_order, role, approver_id, status")
+    .in("request_id", requestIds)
+    .order("step_order", { ascending: true });
+
+  const byRequest = {};
+  for (const s of data || []) (byRequest[s.request_id] ||= []).push(s);
+  return byRequest;
+}
+
+// Who to DM for a step, as [{ slack_id, on_behalf_of }]: its approver (or their delegate
+// while they're away), or every admin when it has none (HR, or nobody else to route to)
+async function approverRecipients(step) {
+  if (!step.approver_id) {
+    const { data: admins } = await supabase.from("users").select("slack_id").eq("is_admin", true);
+    return (admins || []).filter((u) => u.slack_id).map((u) => ({ slack_id: u.slack_id, on_behalf_of: null }));
+  }
+
+  const delegateId = await delegateFor(step.approver_id);
+  const { data } = await supabase
+    .from("users")
+    .select("id, slack_id")
+    .in("id", delegateId ? [step.approver_id, delegateId] : [step.approver_id]);
+
+  const byId = Object.fromEntries((data || []).map((u) => [u.id, u.slack_id]));
+  const slackId = byId[delegateId || step.approver_id];
+  if (!slackId) return [];
+  return [{ slack_id: slackId, on_behalf_of: delegateId ? byId[step.approver_id] || null : null }];
+}
+
+// Approval DM line telling a delegate whose approvals they are covering
+function delegationLine(recipient) {
+  return recipient.on_behalf_of && `↪️ Delegated to you: deciding on behalf of <@${recipient.on_behalf_of}>`;
+}
+
+// ---------------------------
+// Approval messages (pto_approval_messages): channel/ts of every approval DM (first message,
+// next steps, reminders, escalations), so it can be rewritten later — to show what an edit
+// changed, or the outcome once the request is decided — instead of posting a new one
+// ---------------------------
+// opts.changeId: the message now asks to decide that change (pto_request_changes.id)
+async function postApprovalMessage(client, requestId, slackId, message, { changeId = null } = {}) {
+  const dm = await client.conversations.open({ users: slackId });
+  const posted = await client.chat.postMessage({ channel: dm.channel.id, ...message });
+
+  const { error } = await supabase
+    .from("pto_approval_messages")
+    .insert({ request_id: requestId, slack_id: slackId, channel: posted.channel, ts: posted.ts, change_id: changeId });
+  if (error) console.error(`Error saving approval message for request ${requestId}:`, error);
+  return posted;
+}
+
+// Rewrites the latest approval DM a user got for a request, or posts one if there is none
+async function updateApprovalMessage(client, requestId, slackId, message, { changeId = null } = {}) {
+  const { data: existing } = await supabase
+    .from("pto_approval_messages")
+    .select("id, channel, ts")
+    .eq("request_id", requestId)
+    .eq("slack_id", slackId)
+    .order("created_at", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (!existing) return postApprovalMessage(client, requestId, slackId, message, { changeId });
+  const updated = await client.chat.update({ channel: existing.channel, ts: existing.ts, blocks: [], ...message });
+  await supabase.from("pto_approval_messages").update({ change_id: changeId }).eq("id", existing.id);
+  return updated;
+}
+
+// Replaces every approval DM of a request with a final note (no buttons left to click).
+// opts.changeId: only the DMs asking to decide that change
+async function closeApprovalMessages(client, requestId, text, { changeId = null } = {}) {
+  let query = supabase
+    .from("pto_approval_messages")
+    .select("slack_id, channel, ts")
+    .eq("request_id", requestId);
+  if (changeId) query = query.eq("change_id", changeId);
+  const { data: messages } = await query;
+
+  for (const m of messages || []) {
+    try {
+      await client.chat.update({ channel: m.channel, ts: m.ts, text, blocks: [] });
+    } catch (e) {
+      console.error(`Error updating approval message for ${m.slack_id}:`, e.message);
+    }
+  }
+}
+
+const APPROVAL_OUTCOMES = {
+  approved: "✅ *Approved*",
+  step_approved: "✅ *Step approved*",
+  denied: "❌ *Denied*",
+  cancelled: "🚫 *Cancelled*",
+};
+
+// Once a request changes status (decided, cancelled, or moved on to the next approval step),
+// its approval DMs show the outcome and who decided instead of the buttons.
+// opts.deciderId / opts.onBehalfOf: users.id; opts.note: extra line (e.g. the next step)
+async function resolveApprovalMessages(request, outcome, { deciderId, onBehalfOf = null, comment = null, note = null }) {
+  const { data: people } = await supabase
+    .from("users")
+    .select("id, slack_id, name")
+    .in("id", [request.user_id, deciderId, onBehalfOf].filter(Boolean));
+  const mention = (id) => {
+    const u = (people || []).find((p) => p.id === id);
+    return u?.slack_id ? `<@${u.slack_id}>` : u?.name || "Unknown";
+  };
+
+  const what = `*${request.type}* request (${formatRequestDates(request)})`;
+  const headline =
+    outcome === "cancelled" && deciderId === request.user_id
+      ? `🚫 ${mention(request.user_id)} cancelled their ${what}. No action needed.`
+      : `${APPROVAL_OUTCOMES[outcome]} by ${mention(deciderId)}` +
+        (onBehalfOf ? ` (on behalf of ${mention(onBehalfOf)})` : "") +
+        `: ${mention(request.user_id)}'s ${what}`;
+
+  const text = [headline, comment && `💬 ${comment}`, note].filter(Boolean).join("\n");
+  await closeApprovalMessages(slack.client, request.id, text);
+}
+
+// ---------------------------
+// Approval delegation (pto_delegations): a manager hands their approvals to someone for a
+// date range. Without one, a manager with approved full-day leave today auto-delegates to
+// their own manager. A delegate who is away passes it on.
+// ---------------------------
+async function isAwayOn(userId, dateStr) {
+  const { data } = await supabase
+    .from("pto_requests")
+    .select("id")
+    .eq("user_id", userId)
+    .eq("kind", "leave")
+    .eq("status", "approved")
+    .eq("day_part", "full")
+    .lte("start_date", dateStr)
+    .gte("end_date", dateStr)
+    .limit(1);
+
+  return (data || []).length > 0;
+}
+
+// users.id deciding for managerId on a date, or null when they decide themselves
+async function delegateFor(managerId, dateStr = todayStr(), seen = new Set()) {
+  seen.add(managerId);
+
+  const { data: explicit } = await supabase
+    .from("pto_delegations")
+    .select("delegate_id")
+    .eq("manager_id", managerId)
+    .lte("start_date", dateStr)
+    .gte("end_date", dateStr)
+    .order("created_at", { ascending: false })
+    .limit(1);
+
+  let delegateId = explicit?.[0]?.delegate_id || null;
+  if (!delegateId) {
+    if (!(await isAwayOn(managerId, dateStr))) return null;
+    const { data: manager } = await supabase
+      .from("users")
+      .select("manager_id")
+      .eq("id", managerId)
+      .maybeSingle();
+    delegateId = manager?.manager_id || null;
+  }
+
+  if (!delegateId || seen.has(delegateId)) return null;
+  return (await delegateFor(delegateId, dateStr, seen)) || delegateId;
+}
+
+// Approvers currently delegating to userId, among those with pending requests.
+// Walks delegateFor backwards a level at a time (a few queries per level, not per request):
+// explicit delegations to someone in the set, or their reports who are away without one.
+async function delegatorsOf(userId, dateStr = todayStr()) {
+  const resolved = new Set([userId]);
+  let frontier = [userId];
+
+  while (frontier.length > 0) {
+    const [{ data: explicit }, { data: reports }] = await Promise.all([
+      supabase
+        .from("pto_delegations")
+        .select("manager_id, delegate_id, created_at")
+        .lte("start_date", dateStr)
+        .gte("end_date", dateStr)
+        .order("created_at", { ascending: false }),
+      supabase.from("users").select("id").in("manager_id", frontier),
+    ]);
+
+    // delegateFor uses a manager's latest active delegation only
+    const latestDelegate = new Map();
+    for (const d of explicit || []) if (!latestDelegate.has(d.manager_id)) latestDelegate.set(d.manager_id, d.delegate_id);
+
+    const next = [];
+    for (const [managerId, delegateId] of latestDelegate) {
+      if (frontier.includes(delegateId) && !resolved.has(managerId)) next.push(managerId);
+    }
+
+    // automatic: a report who is away today, with no delegation of their own, passes to their manager
+    const autoCandidates = (reports || []).map((u) => u.id).filter((id) => !latestDelegate.has(id) && !resolved.has(id));
+    if (autoCandidates.length > 0) {
+      const { data: away } = await supabase
+        .from("pto_requests")
+        .select("user_id")
+        .in("user_id", autoCandidates)
+        .eq("kind", "leave")
+        .eq("status", "approved")
+        .eq("day_part", "full")
+        .lte("start_date", dateStr)
+        .gte("end_date", dateStr);
+      next.push(...new Set((away || []).map((r) => r.user_id)));
+    }
+
+    for (const id of next) resolved.add(id);
+    frontier = next;
+  }
+
+  resolved.delete(userId);
+  if (resolved.size === 0) return [];
+
+  const { data } = await supabase
+    .from("pto_requests")
+    .select("approver_id")
+    .eq("status", "pending")
+    .in("approver_id", [...resolved]);
+  return [...new Set((data || []).map((r) => r.approver_id))];
+}
+
+// ---------------------------
+// Policy rules (pto_policy_rules): minimum notice, max consecutive days, blackout windows.
+// enforcement "block" rejects the request, "warn" lets it through flagged for the approver.
+// A rule with null category/type applies to every leave type.
+// ---------------------------
+async function loadPolicyRules(category, type) {
+  const { data, error } = await supabase
+    .from("pto_policy_rules")
+    .select("*")
+    .eq("active", true);
+
+  const rules = (data || []).filter(
+    (rule) => (!rule.category || rule.category === category) && (!rule.type || rule.type === type)
+  );
+  return { rules, error };
+}
+
+// ---------------------------
+// Team coverage (pto_coverage_rules): a team is everyone reporting to the same manager.
+// The limit is the lower of max_out people and max_out_percent of the team (at least 1).
+// ---------------------------
+function coverageLimit(rule, teamSize) {
+  if (!rule) return null;
+  const limits = [];
+  if (rule.max_out != null) limits.push(rule.max_out);
+  if (rule.max_out_percent != null) limits.push(Math.max(1, Math.floor((teamSize * rule.max_out_percent) / 100)));
+  return limits.length ? Math.min(...limits) : null;
+}
+
+// Business days of r where the requester plus approved teammates out exceed the limit
+function coverageBreaches(r, teammatesOut, limit, holidays = null) {
+  if (limit == null) return [];
+  const breaches = [];
+  for (let d = r.start_date; d <= r.end_date; d = addDays(d, 1)) {
+    if (!countBusinessDays(d, d, holidays)) continue;
+    const out = 1 + teammatesOut.filter((t) => t.status === "approved" && t.start_date <= d && t.end_date >= d).length;
+    if (out > limit) breaches.push({ date: d, out });
+  }
+  return breaches;
+}
+
+// Teammates with pending/approved leave overlapping r, and the days that break the coverage rule
+async function getTeamCoverage(requester, r, holidays = null) {
+  const coverage = { teammatesOut: [], teamSize: 0, limit: null, breaches: [] };
+  if (!requester?.manager_id) return coverage;
+
+  const [{ data: team, error: teamError }, { data: rule }] = await Promise.all([
+    supabase.from("users").select("id, name, slack_id").eq("manager_id", requester.manager_id).eq("is_system", false),
+    supabase.from("pto_coverage_rules").select("*").eq("manager_id", requester.manager_id).maybeSingle(),
+  ]);
+
+  if (teamError) return { ...coverage, error: teamError };
+
+  const teammates = (team || []).filter((u) => u.id !== requester.id);
+  coverage.teamSize = teammates.length + 1;
+  coverage.limit = coverageLimit(rule, coverage.teamSize);
+  if (teammates.length === 0) return coverage;
+
+  const { data: out, error } = await supabase
+    .from("pto_requests")
+    .select("id, user_id, type, start_date, end_date, day_part, hours, days_count, status")
+    .in("user_id", teammates.map((u) => u.id))
+    .eq("kind", "leave")
+    .in("status", ["pending", "approved"])
+    .lte("start_date", r.end_date)
+    .gte("end_date", r.start_date)
+    .order("start_date", { ascending: true });
+
+  if (error) return { ...coverage, error };
+
+  const byId = Object.fromEntries(teammates.map((u) => [u.id, u]));
+  coverage.teammatesOut = (out || []).map((t) => ({ ...t, user: byId[t.user_id] }));
+  coverage.breaches = coverageBreaches(r, coverage.teammatesOut, coverage.limit, holidays);
+  return coverage;
+}
+
+// Bullet lines for approval DMs / review modal
+function coverageLines(coverage) {
+  const lines = coverage.teammatesOut.map((t) => {
+    const who = t.user?.slack_id ? `<@${t.user.slack_id}>` : t.user?.name || "Unknown";
+    return `Also out: ${who} — ${t.type} (${formatRequestDates(t)})${t.status === "pending" ? " _pending_" : ""}`;
+  });
+  if (coverage.teammatesOut.length === 0) lines.push("Nobody else on the team is out on these dates");
+
+  if (coverage.breaches.length > 0) {
+    const worst = Math.max(...coverage.breaches.map((b) => b.out));
+    const dates = coverage.breaches.map((b) => b.date);
+    lines.push(
+      `⚠️ Coverage: up to *${worst}* of ${coverage.teamSize} out (limit ${coverage.limit}) on ` +
+        (dates.length > 3 ? `${dates[0]} → ${dates[dates.length - 1]} (${dates.length} days)` : dates.join(", "))
+    );
+  }
+  return lines;
+}
+
+// ---------------------------
+// Slack setup (Bolt)
+// ---------------------------
+const receiver = new ExpressReceiver({
+  signingSecret: process.env.SLACK_SIGNING_SECRET,
+});
+
+const slack = new App({
+  token: process.env.SLACK_BOT_TOKEN,
+  receiver,
+});
+
+slack.error(async (error) => {
+  console.error("SLACK_BOLT_ERROR:", error);
+});
+
+// ---------------------------
+// Express setup
+// IMPORTANT ORDER: receiver.router BEFORE express.json()
+// ---------------------------
+const app = express();
+
+app.use(receiver.router); // Slack endpoints live here: /slack/events
+app.use(express.json());
+
+app.use((req, res, next) => {
+  console.log("HTTP", req.method, req.url);
+  next();
+});
+
+app.get("/", (req, res) => res.send("PTO tool alive 🟢"));
+
+app.get("/health", (req, res) => {
+  res.json({ ok: true, service: "pto-mvp", ts: new Date().toISOString() });
 });
 
 // Version endpoint
@@ -296,7 +1461,11 @@ slack.command("/pto", async ({ ack, command, respond, client }) => {
     let helpText =
       "Comandos:\n" +
       "• `/pto balance` → ver tu balance\n" +
+      "• `/pto balance YYYY-MM-DD` → proyectar tu balance a una fecha\n" +
       "• `/pto request` → pedir PTO\n" +
+      "• `/pto earn` → registrar días trabajados (fin de semana, feriado) como time off in lieu\n" +
+      "• `/pto delegate @user YYYY-MM-DD YYYY-MM-DD` → delegar tus aprobaciones mientras no estás (`off` para quitar)\n" +
+      "• `/pto notifications` → ver tus avisos; `/pto notifications off|on <evento>` para silenciar/activar uno\n" +
       "• `/pto connect-calendar` → conectar Google Calendar\n";
 
     if (user.is_admin) {
@@ -304,54 +1473,44 @@ slack.command("/pto", async ({ ack, command, respond, client }) => {
         "\n*Admin commands:*\n" +
         "• `/pto admin assign-manager @user @manager` → asignar manager\n" +
         "• `/pto admin team @manager` → ver reportes directos\n" +
-        "• `/pto admin set-admin @user true/false` → promover/quitar admin\n";
+        "• `/pto admin set-admin @user true/false` → promover/quitar admin\n" +
+        "• `/pto admin set-country @user AR [región]` → calendario de feriados\n" +
+        "• `/pto admin set-coverage @manager 2 [30%]` → máximo de personas fuera en su equipo (`off` para quitar)\n" +
+        "• `/pto admin set-employment @user full_time/part_time/contractor` → tipo de contratación\n";
     }
 
     return respond(helpText);
   }
 
   // BALANCE
-  if (text === "balance") {
-    const { data: types, error: typesError } = await supabase
-      .from("pto_types")
-      .select("*")
-      .order("category", { ascending: true })
-      .order("name", { ascending: true });
-
-    if (typesError) return respond("Error leyendo policy (pto_types).");
-
-    const { data: approved, error: reqError } = await supabase
-      .from("pto_requests")
-      .select("days_count, category, type")
-      .eq("user_id", user.id)
-      .eq("status", "approved");
+  // `/pto balance 2026-08-15` proyecta el balance a esa fecha
+  if (text === "balance" || text.startsWith("balance ")) {
+    const asOf = text.slice("balance".length).trim() || null;
+    if (asOf && !isValidDateStr(asOf)) {
+      return respond("Uso: `/pto balance` o `/pto balance YYYY-MM-DD` para proyectar a una fecha.");
+    }
 
-    if (reqError) return respond("Error leyendo tus PTO aprobados.");
+    const period = getLeavePeriod(asOf || todayStr());
+    const { balances, error: balanceError } = asOf
+      ? await getBalances(user, period, asOf)
+      : await getBalances(user, period);
 
-    const usedBy = {};
-    for (const r of approved || []) {
-      const key = `${r.category}::${r.type}`;
-      usedBy[key] = (usedBy[key] || 0) + (r.days_count || 0);
-    }
+    if (balanceError) return respond("Error leyendo tu balance de PTO.");
 
     const lines = [];
     lines.push(`*Balance PTO — ${user.name}*`);
-    lines.push(user.is_student ? "_Study: habilitado_" : "_Study: no habilitado_");
+    lines.push(`_Período ${period.label}: ${period.start} → ${period.end}_`);
+    if (asOf) lines.push(`_Proyección al ${asOf}_`);
     lines.push("");
 
-    for (const t of types || []) {
-      if (t.eligibility_rule === "STUDENTS_ONLY" && !user.is_student) continue;
-
-      const key = `${t.category}::${t.name}`;
-      const used = usedBy[key] || 0;
+    for (const b of balances) lines.push(balanceLine(b, { explain: true }));
 
-      if (t.is_unlimited) {
-        lines.push(`• *${t.name}*: ∞ (usado: ${used})`);
-      } else {
-        const allowance = t.annual_allowance_days ?? 0;
-        const remaining = t.counts_against_balance ? Math.max(allowance - used, 0) : allowance;
-        lines.push(`• *${t.name}*: ${remaining}/${allowance} (usado: ${used})`);
-      }
+    // tipos que no puede pedir hoy y por qué
+    const { ineligible } = await getEligibleTypes(user);
+    if (ineligible.length > 0) {
+      lines.push("");
+      lines.push("_No disponibles:_");
+      for (const { type: t, reason } of ineligible) lines.push(`• ${t.name} — _${reason}_`);
     }
 
     return respond(lines.join("\n"));
@@ -359,22 +1518,10 @@ slack.command("/pto", async ({ ack, command, respond, client }) => {
 
   // REQUEST -> open modal
   if (text === "request") {
-    const { data: types, error: typesError } = await supabase
-      .from("pto_types")
-      .select("*")
-      .order("category", { ascending: true })
-      .order("name", { ascending: true });
-
+    const { eligible, error: typesError } = await getEligibleTypes(user);
     if (typesError) return respond("Error leyendo policy (pto_types).");
 
-    const allowedTypes = (types || []).filter(
-      (t) => !(t.eligibility_rule === "STUDENTS_ONLY" && !user.is_student)
-    );
-
-    const options = allowedTypes.map((t) => ({
-      text: { type: "plain_text", text: `${t.name} (${t.category})` },
-      value: `${t.category}||${t.name}`,
-    }));
+    const options = typeOptions(eligible);
 
     await client.views.open({
       trigger_id: command.trigger_id,
@@ -384,48 +1531,142 @@ slack.command("/pto", async ({ ack, command, respond, client }) => {
         title: { type: "plain_text", text: "Request PTO" },
         submit: { type: "plain_text", text: "Send" },
         close: { type: "plain_text", text: "Cancel" },
-        blocks: [
-          {
-            type: "input",
-            block_id: "pto_type_block",
-            label: { type: "plain_text", text: "OOO Type" },
-            element: {
-              type: "static_select",
-              action_id: "pto_type",
-              placeholder: { type: "plain_text", text: "Select type" },
-              options,
-            },
-          },
-          {
-            type: "input",
-            block_id: "start_date_block",
-            label: { type: "plain_text", text: "Start date" },
-            element: { type: "datepicker", action_id: "start_date" },
-          },
-          {
-            type: "input",
-            block_id: "end_date_block",
-            label: { type: "plain_text", text: "End date" },
-            element: { type: "datepicker", action_id: "end_date" },
-          },
-          {
-            type: "input",
-            block_id: "reason_block",
-            optional: true,
-            label: { type: "plain_text", text: "Reason (optional)" },
-            element: {
-              type: "plain_text_input",
-              action_id: "reason",
-              multiline: true,
-            },
-          },
-        ],
+        blocks: requestModalBlocks(options),
       },
     });
 
     return;
   }
 
+  // DELEGATE -> quién aprueba por vos mientras no estás
+  // `/pto delegate @user 2026-11-01 2026-11-15`, `/pto delegate off`, `/pto delegate` para ver
+  if (text === "delegate" || text.startsWith("delegate ")) {
+    const originalArgs = (command.text || "").trim().split(/\s+/).slice(1);
+    const usage =
+      "Uso: `/pto delegate @usuario YYYY-MM-DD YYYY-MM-DD` (desde/hasta), `/pto delegate off` o `/pto delegate` para ver.";
+
+    if (originalArgs.length === 0) {
+      const { data: delegations, error } = await supabase
+        .from("pto_delegations")
+        .select("start_date, end_date, delegate:users!pto_delegations_delegate_id_fkey (slack_id)")
+        .eq("manager_id", user.id)
+        .gte("end_date", todayStr())
+        .order("start_date", { ascending: true });
+
+      if (error) return respond("Error leyendo tus delegaciones.");
+
+      const lines = (delegations || []).map(
+        (d) => `• <@${d.delegate?.slack_id}> — ${d.start_date} → ${d.end_date}`
+      );
+      return respond(
+        (lines.length ? `*Tus delegaciones:*\n${lines.join("\n")}` : "_No tenés delegaciones activas._") +
+          "\n_Si estás de PTO sin delegación, tus aprobaciones pasan a tu manager automáticamente._"
+      );
+    }
+
+    if (originalArgs[0].toLowerCase() === "off") {
+      const today = todayStr();
+      // las que ya empezaron terminan ayer; las futuras se borran
+      await supabase
+        .from("pto_delegations")
+        .update({ end_date: addDays(today, -1) })
+        .eq("manager_id", user.id)
+        .lte("start_date", today)
+        .gte("end_date", today);
+      const { error } = await supabase
+        .from("pto_delegations")
+        .delete()
+        .eq("manager_id", user.id)
+        .gt("start_date", today);
+
+      if (error) return respond(`Error quitando la delegación: ${error.message}`);
+      return respond("✅ Delegaciones quitadas. Tus aprobaciones vuelven a vos.");
+    }
+
+    const mention = originalArgs[0].match(/^<@([A-Z0-9]+)\|?[^>]*>$/);
+    const [startDate, endDate = startDate] = originalArgs.slice(1);
+    if (!mention || !isValidDateStr(startDate || "") || !isValidDateStr(endDate) || endDate < startDate) {
+      return respond(usage);
+    }
+    if (endDate < todayStr()) return respond("Esas fechas ya pasaron.");
+    if (mention[1] === command.user_id) return respond("No podés delegarte a vos mismo/a.");
+
+    const { data: delegate } = await supabase
+      .from("users")
+      .select("id")
+      .eq("slack_id", mention[1])
+      .maybeSingle();
+
+    if (!delegate) return respond(`Usuario <@${mention[1]}> no está registrado en PTO tool.`);
+
+    const { error } = await supabase.from("pto_delegations").insert([
+      { manager_id: user.id, delegate_id: delegate.id, start_date: startDate, end_date: endDate },
+    ]);
+
+    if (error) return respond(`Error guardando la delegación: ${error.message}`);
+
+    try {
+      const dm = await client.conversations.open({ users: mention[1] });
+      await client.chat.postMessage({
+        channel: dm.channel.id,
+        text: `↪️ <@${command.user_id}> te delegó sus aprobaciones de PTO del *${startDate}* al *${endDate}*.`,
+      });
+    } catch (e) {
+      console.error("Error notifying delegate:", e.message);
+    }
+
+    return respond(`✅ <@${mention[1]}> aprueba por vos del *${startDate}* al *${endDate}*.`);
+  }
+
+  // NOTIFICATIONS -> qué avisos de solicitudes te llegan por DM
+  // `/pto notifications`, `/pto notifications off cancelled`, `/pto notifications on cancelled`
+  if (text === "notifications" || text.startsWith("notifications ")) {
+    const [toggle, event] = text.split(/\s+/).slice(1);
+    const events = Object.keys(NOTIFICATION_EVENTS);
+
+    if (!toggle) {
+      const { data: prefs, error } = await supabase
+        .from("notification_preferences")
+        .select("event, enabled")
+        .eq("user_id", user.id);
+      if (error) return respond("Error leyendo tus notificaciones.");
+
+      const disabled = new Set((prefs || []).filter((p) => !p.enabled).map((p) => p.event));
+      const lines = events.map((e) => {
+        const def = NOTIFICATION_EVENTS[e];
+        return `• ${def.emoji} \`${e}\` — ${def.label}: ${disabled.has(e) ? "*off*" : "on"}`;
+      });
+      return respond(
+        `*Tus notificaciones:*\n${lines.join("\n")}\n` +
+          "_Los pedidos de aprobación con botones te llegan siempre._"
+      );
+    }
+
+    if (!["on", "off"].includes(toggle) || !events.includes(event)) {
+      return respond(`Uso: \`/pto notifications on|off <evento>\`. Eventos: ${events.map((e) => `\`${e}\``).join(", ")}`);
+    }
+
+    const { error } = await supabase
+      .from("notification_preferences")
+      .upsert(
+        { user_id: user.id, event, enabled: toggle === "on", updated_at: new Date().toISOString() },
+        { onConflict: "user_id,event" }
+      );
+    if (error) return respond(`Error guardando la preferencia: ${error.message}`);
+
+    return respond(
+      toggle === "on"
+        ? `🔔 Vas a recibir los avisos de \`${event}\`.`
+        : `🔕 Ya no vas a recibir los avisos de \`${event}\`.`
+    );
+  }
+
+  // EARN -> días trabajados (fin de semana, feriado) que suman al balance de TOIL
+  if (text === "earn") {
+    await client.views.open({ trigger_id: command.trigger_id, view: earnModalView() });
+    return;
+  }
+
   // ---------------------------
   // ADMIN COMMANDS
   // ---------------------------
@@ -509,8 +1750,9 @@ slack.command("/pto", async ({ ack, command, respond, client }) => {
     // Get direct reports
     const { data: reports, error: reportsError } = await supabase
       .from("users")
-      .select("name, slack_id, is_admin, is_student")
-      .eq("manager_id", managerUser.id);
+      .select("name, slack_id, is_admin, is_student, employment_type")
+      .eq("manager_id", managerUser.id)
+      .eq("is_system", false);
 
     if (reportsError) {
       return respond(`Error obteniendo reportes: ${reportsError.message}`);
@@ -525,6 +1767,7 @@ slack.command("/pto", async ({ ack, command, respond, client }) => {
       const tags = [];
       if (r.is_admin) tags.push("admin");
       if (r.is_student) tags.push("student");
+      if (r.employment_type && r.employment_type !== "full_time") tags.push(r.employment_type);
       const tagStr = tags.length > 0 ? ` (${tags.join(", ")})` : "";
       lines.push(`• <@${r.slack_id}>${tagStr}`);
     }
@@ -577,107 +1820,546 @@ slack.command("/pto", async ({ ack, command, respond, client }) => {
     return respond(`✅ <@${targetSlackId}> ${action}`);
   }
 
-  return respond("No entendí. Probá `/pto help`.");
-});
-
-// ---------------------------
-// Slack: modal submit -> create request -> DM manager with buttons
-// ---------------------------
-slack.view("pto_request_submit", async ({ ack, body, view, client }) => {
+  // ADMIN: set-country (calendario de feriados)
+  if (text.startsWith("admin set-country")) {
+    if (!user.is_admin) {
+      return respond("Solo admins pueden usar este comando.");
+    }
 
-  let acked = false;
+    // Parse: /pto admin set-country @user AR [region]
+    const mentions = originalText.match(/<@([A-Z0-9]+)\|?[^>]*>/g) || [];
+    const args = originalText.replace(/<@[^>]+>/g, "").split(/\s+/).slice(2);
+    const [country, region] = args;
 
-  const safeAck = async (payload) => {
-    if (acked) return;
-    acked = true;
-    await ack(payload);
-  };
+    if (mentions.length !== 1 || !/^[A-Za-z]{2}$/.test(country || "")) {
+      return respond("Uso: `/pto admin set-country @usuario AR` (opcional: región, ej. `ES MD`)");
+    }
 
+    const targetSlackId = mentions[0].match(/<@([A-Z0-9]+)/)[1];
 
-  try {
-    const slack_id = body.user.id;
+    const { data: targetUser, error: targetError } = await supabase
+      .from("users")
+      .select("id, name")
+      .eq("slack_id", targetSlackId)
+      .single();
 
-    const typeValue = view.state.values.pto_type_block.pto_type.selected_option.value;
-    const [category, type] = typeValue.split("||");
+    if (targetError || !targetUser) {
+      return respond(`Usuario <@${targetSlackId}> no está registrado en PTO tool.`);
+    }
 
-    const start_date = view.state.values.start_date_block.start_date.selected_date;
+    const { error: updateError } = await supabase
+      .from("users")
+      .update({ country: country.toUpperCase(), region: region ? region.toUpperCase() : null })
+      .eq("id", targetUser.id);
+
+    if (updateError) {
+      return respond(`Error actualizando país: ${updateError.message}`);
+    }
+
+    const where = region ? `${country.toUpperCase()}-${region.toUpperCase()}` : country.toUpperCase();
+    return respond(`✅ Calendario de feriados de <@${targetSlackId}>: *${where}*`);
+  }
+
+  // ADMIN: set-employment
+  if (text.startsWith("admin set-employment")) {
+    if (!user.is_admin) {
+      return respond("Solo admins pueden usar este comando.");
+    }
+
+    // Parse: /pto admin set-employment @user contractor
+    const mentions = originalText.match(/<@([A-Z0-9]+)\|?[^>]*>/g) || [];
+    const employmentType = text.replace(/<@[^>]+>/g, "").split(/\s+/).filter(Boolean)[2];
+
+    if (mentions.length !== 1 || !EMPLOYMENT_TYPES.includes(employmentType)) {
+      return respond(`Uso: \`/pto admin set-employment @usuario ${EMPLOYMENT_TYPES.join("|")}\``);
+    }
+
+    const targetSlackId = mentions[0].match(/<@([A-Z0-9]+)/)[1];
+
+    const { data: updated, error: updateError } = await supabase
+      .from("users")
+      .update({ employment_type: employmentType })
+      .eq("slack_id", targetSlackId)
+      .select("id");
+
+    if (updateError) return respond(`Error actualizando tipo de contratación: ${updateError.message}`);
+    if (!updated || updated.length === 0) {
+      return respond(`Usuario <@${targetSlackId}> no está registrado en PTO tool.`);
+    }
+
+    return respond(`✅ <@${targetSlackId}> ahora es *${employmentType}*`);
+  }
+
+  // ADMIN: set-coverage
+  if (text.startsWith("admin set-coverage")) {
+    if (!user.is_admin) {
+      return respond("Solo admins pueden usar este comando.");
+    }
+
+    // Parse: /pto admin set-coverage @manager 2 [30%]  |  /pto admin set-coverage @manager off
+    const mentions = originalText.match(/<@([A-Z0-9]+)\|?[^>]*>/g) || [];
+    const args = originalText.replace(/<@[^>]+>/g, "").split(/\s+/).slice(2).filter(Boolean);
+    const usage = "Uso: `/pto admin set-coverage @manager 2` (máx. personas), `... 2 30%` (y máx. %) o `... off`";
+
+    if (mentions.length !== 1 || args.length === 0) return respond(usage);
+
+    const managerSlackId = mentions[0].match(/<@([A-Z0-9]+)/)[1];
+    const { data: manager, error: managerError } = await supabase
+      .from("users")
+      .select("id, name")
+      .eq("slack_id", managerSlackId)
+      .single();
+
+    if (managerError || !manager) {
+      return respond(`Usuario <@${managerSlackId}> no está registrado en PTO tool.`);
+    }
+
+    if (args[0].toLowerCase() === "off") {
+      const { error } = await supabase.from("pto_coverage_rules").delete().eq("manager_id", manager.id);
+      if (error) return respond(`Error quitando la regla: ${error.message}`);
+      return respond(`✅ El equipo de <@${managerSlackId}> ya no tiene límite de cobertura.`);
+    }
+
+    let max_out = null;
+    let max_out_percent = null;
+    for (const arg of args) {
+      if (/^\d+%$/.test(arg)) max_out_percent = Number(arg.slice(0, -1));
+      else if (/^\d+$/.test(arg)) max_out = Number(arg);
+      else return respond(usage);
+    }
+    if ((max_out !== null && max_out < 1) || (max_out_percent !== null && (max_out_percent < 1 || max_out_percent > 100))) {
+      return respond(usage);
+    }
+
+    const { error: upsertError } = await supabase
+      .from("pto_coverage_rules")
+      .upsert({ manager_id: manager.id, max_out, max_out_percent }, { onConflict: "manager_id" });
+
+    if (upsertError) return respond(`Error guardando la regla: ${upsertError.message}`);
+
+    const limits = [max_out !== null && `${max_out} personas`, max_out_percent !== null && `${max_out_percent}%`].filter(Boolean);
+    return respond(`✅ Equipo de <@${managerSlackId}>: como máximo ${limits.join(" o ")} fuera por día hábil.`);
+  }
+
+  return respond("No entendí. Probá `/pto help`.");
+});
+
+// ---------------------------
+// Notifications: one dispatcher for every request status change (created, approved, denied,
+// cancelled, edited, escalated). Each event DMs its default parties — the requester, and the
+// approver for some — with the request details. Users turn events off with /pto notifications
+// (notification_preferences). Approval DMs with buttons are not notifications: they always go out.
+// ---------------------------
+const NOTIFICATION_EVENTS = {
+  created: { emoji: "📨", label: "Nueva solicitud", to: ["requester"] },
+  approved: { emoji: "✅", label: "Solicitud aprobada", to: ["requester"] },
+  denied: { emoji: "❌", label: "Solicitud rechazada", to: ["requester"] },
+  cancelled: { emoji: "🚫", label: "Solicitud cancelada", to: ["requester", "approver"] },
+  edited: { emoji: "✏️", label: "Cambio en la solicitud", to: ["requester", "approver"] },
+  escalated: { emoji: "🚨", label: "Aprobación escalada", to: ["requester"] },
+};
+
+function requestDetailLines(r) {
+  return [
+    `Tipo: *${r.type}*${r.kind === "earn" ? " (días trabajados)" : ""}`,
+    `Fechas: *${formatRequestDates(r)}*`,
+    `Días: *${r.days_count}*`,
+    `Estado: \`${r.status}\``,
+    r.reason && `Motivo: ${r.reason}`,
+    r.decision_comment && `💬 ${r.decision_comment}`,
+  ].filter(Boolean);
+}
+
+// opts.actorSlackId: who caused it (shown, and not DMed unless they are the requester)
+// opts.note: extra text, e.g. what changed; opts.to: parties instead of the event's default
+async function dispatchRequestEvent(client, event, request, { actorSlackId = null, note = null, to = null } = {}) {
+  const def = NOTIFICATION_EVENTS[event];
+  const parties = to || def.to;
+
+  const { data: requester } = await supabase
+    .from("users")
+    .select("id, slack_id, manager_id")
+    .eq("id", request.user_id)
+    .single();
+  if (!requester) return;
+
+  const recipients = [];
+  if (parties.includes("requester") && requester.slack_id) recipients.push({ ...requester, role: "requester" });
+
+  // the approver, or the manager when nobody had to approve it
+  const approverId = request.approver_id ?? requester.manager_id ?? null;
+  if (parties.includes("approver") && approverId && approverId !== requester.id) {
+    const { data: approver } = await supabase.from("users").select("id, slack_id").eq("id", approverId).maybeSingle();
+    if (approver?.slack_id && approver.slack_id !== actorSlackId) recipients.push({ ...approver, role: "approver" });
+  }
+  if (recipients.length === 0) return;
+
+  const { data: muted } = await supabase
+    .from("notification_preferences")
+    .select("user_id")
+    .in("user_id", recipients.map((rc) => rc.id))
+    .eq("event", event)
+    .eq("enabled", false);
+  const mutedIds = new Set((muted || []).map((m) => m.user_id));
+
+  for (const rc of recipients) {
+    if (mutedIds.has(rc.id)) continue;
+    const text = [
+      `${def.emoji} *${def.label}*` + (rc.role === "approver" ? ` de <@${requester.slack_id}>` : ""),
+      ...requestDetailLines(request).map((l) => `• ${l}`),
+      actorSlackId && actorSlackId !== rc.slack_id && `• Por: <@${actorSlackId}>`,
+      note,
+    ]
+      .filter(Boolean)
+      .join("\n");
+
+    try {
+      const dm = await client.conversations.open({ users: rc.slack_id });
+      await client.chat.postMessage({ channel: dm.channel.id, text });
+    } catch (e) {
+      console.error(`Error sending ${event} notification to ${rc.slack_id}:`, e.message);
+    }
+  }
+}
+
+// ---------------------------
+// Slack: modal submit -> create request -> DM manager with buttons
+// ---------------------------
+// Why /pto/request or /pto/edit rejected a request, for the DM sent after the modal closed
+function requestErrorText(json, type) {
+  // balance excedido
+  if (json?.error === "Request exceeds remaining balance" && json?.details) {
+    const d = json.details;
+    return (
+      `te quedan ${d.remaining_days} días de ${type} en el período ${d.period?.label}` +
+      (d.reserved_days ? ` (${d.reserved_days} reservados por solicitudes pendientes)` : "") +
+      `. Pediste ${d.requested_days}.`
+    );
+  }
+
+  // reglas de policy (preaviso, días seguidos, blackout)
+  if (json?.violations) return json.violations.map((v) => v.message).join(" · ");
+
+  if (json?.error === "Request overlaps with an existing PTO request") {
+    return "estas fechas se solapan con otra solicitud (pending/approved).";
+  }
+
+  return typeof json?.error === "string" ? json.error : "no se pudo registrar la solicitud.";
+}
+
+slack.view("pto_request_submit", async ({ ack, body, view, client }) => {
+
+  let acked = false;
+
+  const safeAck = async (payload) => {
+    if (acked) return;
+    acked = true;
+    await ack(payload);
+  };
+
+
+  try {
+    const slack_id = body.user.id;
+
+    const typeValue = view.state.values.pto_type_block.pto_type.selected_option.value;
+    const [category, type] = typeValue.split("||");
+
+    const start_date = view.state.values.start_date_block.start_date.selected_date;
     const end_date = view.state.values.end_date_block.end_date.selected_date;
 
     const reason = view.state.values.reason_block?.reason?.value || null;
 
-    // ⚠️ IMPORTANT: si esto tarda >3s, Slack se queja igual
-    const resp = await fetch(`${BASE_URL}/pto/request`, {
+    const day_part = view.state.values.day_part_block?.day_part?.selected_option?.value || "full";
+    const hoursValue = view.state.values.hours_block?.hours?.value;
+    const hours = hoursValue ? Number(hoursValue) : null;
+
+    // el botón "Edit" del Home abre el mismo modal con el id de la solicitud
+    const request_id = view.private_metadata ? JSON.parse(view.private_metadata).request_id : null;
+
+    // chequeos rápidos de campos en el MODAL; el resto (balance, solapamientos, reglas) lo hace
+    // la API, que puede tardar más que los 3s de Slack: cerramos el modal antes y avisamos por DM
+    const errors = {};
+    if (end_date < start_date) {
+      errors.end_date_block = "La fecha de fin es anterior a la de inicio.";
+    } else if (day_part !== "full" && start_date !== end_date) {
+      errors.day_part_block = "Medio día y horas son de una sola fecha (inicio = fin).";
+    }
+    if (day_part === "hours" && !(hours > 0 && hours < HOURS_PER_DAY)) {
+      errors.hours_block = `Más de 0 y menos de ${HOURS_PER_DAY} horas (si no, pedí el día completo).`;
+    }
+    if (Object.keys(errors).length > 0) {
+      await safeAck({ response_action: "errors", errors });
+      return;
+    }
+
+    await safeAck({ response_action: "clear" });
+
+    const resp = await fetch(`${BASE_URL}/pto/${request_id ? "edit" : "request"}`, {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ slack_id, category, type, start_date, end_date, reason }),
+      body: JSON.stringify({ slack_id, request_id, category, type, start_date, end_date, day_part, hours, reason }),
     });
 
     const json = await resp.json();
 
-    // ❌ Error: mostramos feedback en el MODAL
+    // ❌ Error: el modal ya está cerrado, avisamos por DM
     if (!resp.ok) {
-      // balance excedido -> error en el bloque de end_date (podría ser start o end)
-      if (json?.error === "Request exceeds remaining balance" && json?.details) {
-        const d = json.details;
-        await ack({
-          response_action: "errors",
-          errors: {
-            end_date_block: `Te quedan ${d.remaining_days} días de ${type}. Pediste ${d.requested_days}.`,
-          },
-        });
-        return;
-      }
+      const dmUser = await client.conversations.open({ users: slack_id });
+      await client.chat.postMessage({
+        channel: dmUser.channel.id,
+        text: `❌ No se pudo ${request_id ? "editar" : "registrar"} la solicitud de *${type}* (${start_date} → ${end_date}): ${requestErrorText(json, type)}`,
+      });
+      return;
+    }
 
-      // solapamiento -> también lo marcamos en fechas
-      if (json?.error === "Request overlaps with an existing PTO request") {
-        await ack({
-          response_action: "errors",
-          errors: {
-            end_date_block: "Estas fechas se solapan con otra solicitud (pending/approved).",
-          },
-        });
-        return;
-      }
+    const request = json.request;
+
+    // documento adjunto en el modal
+    const file = view.state.values.document_block?.document?.files?.[0];
+    if (file) {
+      const { error: docError } = await attachSlackFile(request.id, request.user_id, file);
+      if (docError) console.error("Error attaching document:", docError);
+      else request.document_status = "received";
+    }
+
+    // edición: se reescribe el DM original del approver con lo que cambió
+    if (request_id) {
+      await notifyRequestEdited(client, json, slack_id);
+
+      // el approver ya ve el cambio en su DM de aprobación
+      await dispatchRequestEvent(client, "edited", request, {
+        actorSlackId: slack_id,
+        to: ["requester"],
+        note: json.change
+          ? `Cambio enviado a aprobación: ${json.changes.join(" · ")}\nTu solicitud aprobada sigue vigente hasta que lo decidan.`
+          : `Editada (${json.changes.join(" · ")}) y enviada de nuevo a aprobación.`,
+      });
+      await publishHome(client, slack_id);
+      return;
+    }
+
+    // DM al approver del primer paso con botones
+    const steps = json.approval_steps || [];
+    const recipients = steps[0] ? await approverRecipients(steps[0]) : [];
+
+    // sin manager: avisamos a los admins a dónde fue
+    if (!json.manager_id) await notifyAdminsUnrouted(client, request, slack_id, steps, json.auto_approved_reason);
+
+    for (const recipient of recipients) {
+      await postApprovalMessage(client, request.id, recipient.slack_id, {
+        text: "PTO approval request",
+        blocks: approvalBlocks(approvalTitle("PTO approval", 1, steps), request.id, [
+          `Requester: <@${slack_id}>`,
+          `Type: *${type}*`,
+          `Dates: *${formatRequestDates(request)}*`,
+          `Business days: *${json.computed_days}*`,
+          json.holidays?.length &&
+            `Holidays excluded: ${json.holidays.map((h) => `${h.date} (${h.name})`).join(", ")}`,
+          reason && `Reason: ${reason}`,
+          ...(json.warnings || []).map((w) => `⚠️ Policy: ${w}`),
+          ...(json.coverage ? coverageLines(json.coverage) : []),
+          documentLine(request),
+          steps.length > 1 && `Approval chain: ${steps.map((st) => APPROVAL_ROLES[st.role] || st.role).join(" → ")}`,
+          delegationLine(recipient),
+        ]),
+      });
+    }
+
+    // confirmación al usuario; si se aprobó sola, el manager recibe el mismo aviso (sin botones)
+    if (json.auto_approved) {
+      await dispatchRequestEvent(client, "approved", request, {
+        to: json.manager_id ? ["requester", "approver"] : ["requester"],
+        note: `Aprobada automáticamente: ${json.auto_approved_reason}.`,
+      });
+    } else {
+      await dispatchRequestEvent(client, "created", request, { actorSlackId: slack_id });
+    }
 
-      // fallback general
+    // instrucciones obligatorias: van siempre, fuera de las notificaciones que se pueden silenciar
+    if (request.document_status === "missing") {
+      const dmUser = await client.conversations.open({ users: slack_id });
+      await client.chat.postMessage({
+        channel: dmUser.channel.id,
+        text:
+          `📎 *${request.type}* (${formatRequestDates(request)}) requiere un documento antes del *${request.document_due_on}*: ` +
+          `envíalo por este DM como archivo, con \`#${request.id}\` en el mensaje.`,
+      });
+    }
+  } catch (e) {
+    console.error("pto_request_submit error", e);
+    // si explota algo: error en el modal si sigue abierto, si no por DM
+    if (!acked) {
       await safeAck({
         response_action: "errors",
-        errors: { end_date_block: json?.error || "No se pudo registrar la solicitud." },
+        errors: { end_date_block: "Error inesperado. Probá de nuevo." },
       });
       return;
     }
+    try {
+      const dmUser = await client.conversations.open({ users: body.user.id });
+      await client.chat.postMessage({ channel: dmUser.channel.id, text: "❌ Error inesperado con tu solicitud. Probá de nuevo." });
+    } catch (dmError) {
+      console.error("pto_request_submit DM error", dmError);
+    }
+  }
+});
 
-    // ✅ OK: cerramos modal
-    await safeAck({ response_action: "clear" });
+slack.view("pto_earn_submit", async ({ ack, body, view, client }) => {
+  const slack_id = body.user.id;
+  const start_date = view.state.values.start_date_block.start_date.selected_date;
+  const end_date = view.state.values.end_date_block.end_date.selected_date;
+  const reason = view.state.values.reason_block.reason.value;
 
-    const request = json.request;
+  const resp = await fetch(`${BASE_URL}/pto/earn`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ slack_id, start_date, end_date, reason }),
+  });
 
-    // DM manager con botones
-    const { data: approver } = await supabase
-      .from("users")
-      .select("slack_id, name")
-      .eq("id", request.approver_id)
-      .single();
+  const json = await resp.json();
+
+  if (!resp.ok) {
+    const block = json?.field === "start_date" || json?.field === "reason" ? `${json.field}_block` : "end_date_block";
+    await ack({
+      response_action: "errors",
+      errors: { [block]: typeof json?.error === "string" ? json.error : "No se pudo registrar." },
+    });
+    return;
+  }
+
+  await ack({ response_action: "clear" });
+
+  const request = json.request;
+
+  // DM al approver del primer paso con los mismos botones de aprobación
+  const steps = json.approval_steps || [];
+  await notifyAdminsUnrouted(client, request, slack_id, steps, false);
+  for (const recipient of steps[0] ? await approverRecipients(steps[0]) : []) {
+    await postApprovalMessage(client, request.id, recipient.slack_id, {
+      text: "Time off in lieu approval request",
+      blocks: approvalBlocks(approvalTitle("Time off in lieu approval", 1, steps), request.id, [
+        `Requester: <@${slack_id}>`,
+        `Worked: *${formatRequestDates(request)}*`,
+        `Days to credit: *${json.computed_days}*`,
+        `Reason: ${request.reason}`,
+        delegationLine(recipient),
+      ]),
+    });
+  }
+
+  await dispatchRequestEvent(client, "created", request, {
+    actorSlackId: slack_id,
+    note: `Se acreditarán ${json.computed_days} días de ${TOIL_TYPE.name} al aprobarse.`,
+  });
+
+  await publishHome(client, slack_id);
+});
+
+
+// ---------------------------
+// Slack: approve/deny buttons
+// ---------------------------
+// DM the approver(s) of the step a request just moved to
+async function notifyNextApprover(client, request, step, totalSteps, previousApproverSlackId, comment = null) {
+  const { data: requester } = await supabase
+    .from("users")
+    .select("slack_id, name")
+    .eq("id", request.user_id)
+    .single();
+
+  const title = request.kind === "earn" ? "Time off in lieu approval" : "PTO approval";
+  for (const recipient of await approverRecipients(step)) {
+    try {
+      await postApprovalMessage(client, request.id, recipient.slack_id, {
+        text: `${title} request`,
+        blocks: approvalBlocks(`${title} (step ${step.step_order}/${totalSteps})`, request.id, [
+          `Requester: ${requester?.slack_id ? `<@${requester.slack_id}>` : requester?.name || "Unknown"}`,
+          `Type: *${request.type}*`,
+          `Dates: *${formatRequestDates(request)}*`,
+          `Days: *${request.days_count}*`,
+          request.reason && `Reason: ${request.reason}`,
+          ...(request.policy_warnings || []).map((w) => `⚠️ Policy: ${w}`),
+          documentLine(request),
+          `Approved so far by <@${previousApproverSlackId}>` + (comment ? `: "${comment}"` : ""),
+          delegationLine(recipient),
+        ]),
+      });
+    } catch (e) {
+      console.error(`Error notifying approver ${recipient.slack_id}:`, e.message);
+    }
+  }
+}
+
+// ---------------------------
+// Decision comments: Approve/Deny open a modal for a comment (required to deny), which is
+// stored on the request and sent to the requester
+// ---------------------------
+function decisionModalView(decision, meta) {
+  const approving = decision === "approve";
+  return {
+    type: "modal",
+    callback_id: "pto_decision_submit",
+    private_metadata: JSON.stringify(meta),
+    title: { type: "plain_text", text: approving ? "Approve PTO" : "Deny PTO" },
+    submit: { type: "plain_text", text: approving ? "Approve" : "Deny" },
+    close: { type: "plain_text", text: "Back" },
+    blocks: [
+      {
+        type: "input",
+        block_id: "comment_block",
+        optional: approving,
+        label: { type: "plain_text", text: approving ? "Comment (optional)" : "Reason" },
+        hint: { type: "plain_text", text: "The requester gets it in a DM." },
+        element: { type: "plain_text_input", action_id: "comment", multiline: true, max_length: 1000 },
+      },
+    ],
+  };
+}
+
+async function openDecisionModal(body, client, decision) {
+  const view = decisionModalView(decision, {
+    request_id: body.actions[0].value,
+    decision,
+    // the Review modal on Home has no channel; results then go to the app DM
+    channel: body.channel?.id || null,
+  });
+
+  // from the Review modal the comment modal stacks on top of it
+  if (body.view?.type === "modal") await client.views.push({ trigger_id: body.trigger_id, view });
+  else await client.views.open({ trigger_id: body.trigger_id, view });
+}
 
-    if (!approver?.slack_id) return;
+// shared by the decision modal and the "approve anyway" coverage override; true once approved
+async function approveFromSlack({ request_id, slack_id, channel, comment = null }, client, { override_coverage = false } = {}) {
+  const decided_by_slack_id = slack_id;
 
-    const dm = await client.conversations.open({ users: approver.slack_id });
+  const resp = await fetch(`${BASE_URL}/pto/approve`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ request_id, decided_by_slack_id, override_coverage, comment }),
+  });
+
+  const json = await resp.json();
+
+  // cobertura del equipo superada -> pedimos confirmación explícita
+  if (resp.status === 409 && json.coverage) {
+    // the comment waits on the server: a button value can't hold 1000 characters
+    if (comment) {
+      const { error: draftError } = await supabase
+        .from("pto_decision_drafts")
+        .upsert({ request_id: Number(request_id), slack_id, comment, updated_at: new Date().toISOString() });
+      if (draftError) console.error(`Error saving decision comment for request ${request_id}:`, draftError);
+    }
 
     await client.chat.postMessage({
-      channel: dm.channel.id,
-      text: "PTO approval request",
+      channel,
+      text: "⚠️ Approving this request breaks the team coverage limit",
       blocks: [
         {
           type: "section",
           text: {
             type: "mrkdwn",
-            text:
-              `*PTO approval*\n` +
-              `• Requester: <@${slack_id}>\n` +
-              `• Type: *${type}*\n` +
-              `• Dates: *${start_date} → ${end_date}*\n` +
-              `• Business days: *${json.computed_days}*\n` +
-              (reason ? `• Reason: ${reason}\n` : ""),
+            text: `*⚠️ Team coverage limit*\n${coverageLines(json.coverage).map((l) => `• ${l}`).join("\n")}`,
           },
         },
         {
@@ -685,79 +2367,67 @@ slack.view("pto_request_submit", async ({ ack, body, view, client }) => {
           elements: [
             {
               type: "button",
-              text: { type: "plain_text", text: "Approve ✅" },
-              style: "primary",
-              action_id: "pto_approve_btn",
-              value: request.id,
-            },
-            {
-              type: "button",
-              text: { type: "plain_text", text: "Deny ❌" },
+              text: { type: "plain_text", text: "Approve anyway" },
               style: "danger",
-              action_id: "pto_deny_btn",
-              value: request.id,
+              action_id: "pto_approve_override_btn",
+              value: String(request_id),
+              confirm: {
+                title: { type: "plain_text", text: "Override coverage" },
+                text: { type: "mrkdwn", text: "More people than the team limit will be out. Approve anyway?" },
+                confirm: { type: "plain_text", text: "Approve" },
+                deny: { type: "plain_text", text: "Cancel" },
+              },
             },
           ],
         },
       ],
     });
-
-    // opcional: DM al usuario confirmando (ya no es necesario porque modal cerró, pero queda rico)
-    const dmUser = await client.conversations.open({ users: slack_id });
-    await client.chat.postMessage({
-      channel: dmUser.channel.id,
-      text: `✅ Solicitud enviada a aprobación: *${type}* (${start_date} → ${end_date})`,
-    });
-  } catch (e) {
-    console.error("pto_request_submit error", e);
-    // si explota algo, intentamos mostrar error en modal
-    await safeAck({
-      response_action: "errors",
-      errors: { end_date_block: "Error inesperado. Probá de nuevo." },
-    });
+    return;
   }
-});
-
-
-// ---------------------------
-// Slack: approve/deny buttons
-// ---------------------------
-slack.action("pto_approve_btn", async ({ ack, body, client }) => {
-  await ack();
-
-  const request_id = body.actions[0].value;
-  const decided_by_slack_id = body.user.id;
-
-  const resp = await fetch(`${BASE_URL}/pto/approve`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ request_id, decided_by_slack_id }),
-  });
-
-  const json = await resp.json();
 
   if (!resp.ok) {
     await client.chat.postMessage({
-      channel: body.channel.id,
-      text: `❌ No se pudo aprobar: ${json.error || "error"}`,
+      channel,
+      text:
+        `❌ No se pudo aprobar: ${json.error || "error"}` +
+        (json.details
+          ? ` (quedan ${json.details.remaining_days} días de ${json.details.type}, la solicitud es de ${json.details.requested_days})`
+          : ""),
     });
     await client.views.publish({
-      user_id: body.user.id,
+      user_id: slack_id,
       view: { type: "home", blocks: [{ type: "section", text: { type: "mrkdwn", text: "Reabrí Home para refrescar." } }] },
     });
     return;
   }
 
+  // cadena de aprobación: pasa al siguiente paso y le avisamos al approver
+  if (json.next_step) {
+    const role = APPROVAL_ROLES[json.next_step.role] || json.next_step.role;
+    await client.chat.postMessage({
+      channel,
+      text: `✅ Approved step ${json.next_step.step_order - 1}/${json.total_steps} — sent to ${role} for the next step`,
+    });
+    await notifyNextApprover(client, json.advanced, json.next_step, json.total_steps, decided_by_slack_id, comment);
+    await publishHome(client, slack_id);
+    return true;
+  }
+
   await client.chat.postMessage({
-    channel: body.channel.id,
-    text: "✅ Approved",
+    channel,
+    text: override_coverage ? "✅ Approved (coverage limit overridden)" : "✅ Approved",
   });
 
+  await dispatchRequestEvent(client, "approved", json.approved, { actorSlackId: decided_by_slack_id });
+
+  // días trabajados aprobados -> avisamos el crédito al empleado
+  if (json.credit) await notifyAdjustment(client, json.credit);
+
   await client.views.publish({
-    user_id: body.user.id,
+    user_id: slack_id,
     view: { type: "home", blocks: [{ type: "section", text: { type: "mrkdwn", text: "✅ Listo. Reabrí Home para refrescar." } }] },
   });
-  await publishHome(client, body.user.id);
+  await publishHome(client, slack_id);
 
   // refresca Home del requester
   const { data: req } = await supabase
@@ -777,54 +2447,275 @@ slack.action("pto_approve_btn", async ({ ack, body, client }) => {
       await publishHome(client, ru.slack_id);
     }
   }
-});
 
-slack.action("pto_deny_btn", async ({ ack, body, client }) => {
+  return true;
+}
+
+// Approve/Deny: ask for the comment first
+slack.action("pto_approve_btn", async ({ ack, body, client }) => {
+  await ack();
+  await openDecisionModal(body, client, "approve");
+});
+
+slack.action("pto_deny_btn", async ({ ack, body, client }) => {
+  await ack();
+  await openDecisionModal(body, client, "deny");
+});
+
+slack.action("pto_approve_override_btn", async ({ ack, body, client }) => {
   await ack();
+  const slack_id = body.user.id;
 
   const request_id = body.actions[0].value;
-  const decided_by_slack_id = body.user.id;
 
+  const { data: draft } = await supabase
+    .from("pto_decision_drafts")
+    .select("comment")
+    .eq("request_id", Number(request_id))
+    .eq("slack_id", slack_id)
+    .maybeSingle();
+  const comment = draft?.comment ?? null;
+
+  const approved = await approveFromSlack(
+    { request_id, slack_id, channel: body.channel?.id || slack_id, comment },
+    client,
+    { override_coverage: true }
+  );
+  // kept for a retry if the approval didn't go through
+  if (approved) {
+    await supabase.from("pto_decision_drafts").delete().eq("request_id", Number(request_id)).eq("slack_id", slack_id);
+  }
+});
+
+slack.view("pto_decision_submit", async ({ ack, body, view, client }) => {
+  const { request_id, decision, channel } = JSON.parse(view.private_metadata);
+  const comment = view.state.values.comment_block.comment.value?.trim() || null;
+
+  if (decision === "deny" && !comment) {
+    await ack({ response_action: "errors", errors: { comment_block: "Contale al empleado por qué se rechaza." } });
+    return;
+  }
+
+  // cierra también el Review del Home, si venía de ahí
+  await ack({ response_action: "clear" });
+
+  const decided = { request_id, slack_id: body.user.id, channel: channel || body.user.id, comment };
+  if (decision === "approve") await approveFromSlack(decided, client);
+  else await denyFromSlack(decided, client);
+});
+
+async function denyFromSlack({ request_id, slack_id, channel, comment }, client) {
   const resp = await fetch(`${BASE_URL}/pto/deny`, {
     method: "POST",
     headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ request_id, decided_by_slack_id }),
+    body: JSON.stringify({ request_id, decided_by_slack_id: slack_id, comment }),
   });
 
   const json = await resp.json();
 
   if (!resp.ok) {
     await client.chat.postMessage({
-      channel: body.channel.id,
+      channel,
       text: `❌ No se pudo denegar: ${json.error || "error"}`,
     });
     return;
   }
 
   await client.chat.postMessage({
-    channel: body.channel.id,
+    channel,
     text: "❌ Denied",
   });
-  await publishHome(client, body.user.id);
+  await dispatchRequestEvent(client, "denied", json.denied, { actorSlackId: slack_id });
+  await publishHome(client, slack_id);
 
   // refresca Home del requester
-  const { data: req } = await supabase
-    .from("pto_requests")
-    .select("user_id")
-    .eq("id", request_id)
+  const { data: ru } = await supabase
+    .from("users")
+    .select("slack_id")
+    .eq("id", json.denied.user_id)
     .single();
 
-  if (req?.user_id) {
-    const { data: ru } = await supabase
-      .from("users")
-      .select("slack_id")
-      .eq("id", req.user_id)
-      .single();
+  if (ru?.slack_id) {
+    await publishHome(client, ru.slack_id);
+  }
+}
 
-    if (ru?.slack_id) {
-      await publishHome(client, ru.slack_id);
+// ---------------------------
+// Slack: request edits, cancellations and change requests
+// ---------------------------
+// #team-pto announcements (who is out, and changes to approved leave)
+async function postToTeamChannel(client, text) {
+  try {
+    await client.chat.postMessage({ channel: PTO_CHANNEL_ID, text });
+  } catch (e) {
+    console.error("Error posting to channel:", e.message);
+  }
+}
+
+// A change to an approved request (an edit or a cancellation) goes to its approver,
+// rewriting their original approval DM, with its own Approve/Deny buttons
+async function notifyChangeRequest(client, r, change, requesterSlackId, extraLines = []) {
+  const cancelling = change.action === "cancel";
+  for (const recipient of await approverRecipients({ approver_id: change.approver_id })) {
+    try {
+      await updateApprovalMessage(
+        client,
+        r.id,
+        recipient.slack_id,
+        {
+          text: cancelling ? "PTO cancellation request" : "PTO change request",
+          blocks: approvalBlocks(cancelling ? "PTO cancellation request" : "PTO change request", change.id, [
+            `Requester: <@${requesterSlackId}>`,
+            `Approved: *${r.type}* (${formatRequestDates(r)}, ${r.days_count} days)`,
+            cancelling ? "🚫 Wants to cancel it: the days go back to their balance" : `✏️ Edited: ${changeSummary(change)}`,
+            ...extraLines,
+            "The approved dates stay in place until you decide",
+            delegationLine(recipient),
+          ], { approveAction: "pto_change_approve_btn", denyAction: "pto_change_deny_btn" }),
+        },
+        { changeId: change.id }
+      );
+    } catch (e) {
+      console.error(`Error notifying change request to ${recipient.slack_id}:`, e.message);
+    }
+  }
+}
+
+// After an edit, the approver's original DM is rewritten to show what changed
+async function notifyRequestEdited(client, json, requesterSlackId) {
+  const r = json.request;
+  const edited = `✏️ Edited: ${json.changes.join(" · ")}`;
+
+  // approved request: the change waits for its approver
+  if (json.change) {
+    await notifyChangeRequest(client, r, json.change, requesterSlackId, [
+      ...(json.warnings || []).map((w) => `⚠️ Policy: ${w}`),
+      ...(json.coverage ? coverageLines(json.coverage) : []),
+    ]);
+    return;
+  }
+
+  // pending request: approval starts over, so the first step's approver gets the new version
+  const steps = json.approval_steps || [];
+  const recipients = steps[0] ? await approverRecipients(steps[0]) : [];
+  for (const recipient of recipients) {
+    try {
+      await updateApprovalMessage(client, r.id, recipient.slack_id, {
+        text: "PTO approval request (edited)",
+        blocks: approvalBlocks(approvalTitle("PTO approval (edited)", 1, steps), r.id, [
+          `Requester: <@${requesterSlackId}>`,
+          `Type: *${r.type}*`,
+          `Dates: *${formatRequestDates(r)}*`,
+          `Business days: *${r.days_count}*`,
+          r.reason && `Reason: ${r.reason}`,
+          edited,
+          ...(json.warnings || []).map((w) => `⚠️ Policy: ${w}`),
+          ...(json.coverage ? coverageLines(json.coverage) : []),
+          documentLine(r),
+          steps.length > 1 && `Approval chain: ${steps.map((st) => APPROVAL_ROLES[st.role] || st.role).join(" → ")}`,
+          delegationLine(recipient),
+        ]),
+      });
+    } catch (e) {
+      console.error(`Error updating approval message for ${recipient.slack_id}:`, e.message);
+    }
+  }
+
+  // later steps that already had it: no buttons until it reaches them again
+  const notified = new Set(recipients.map((rc) => rc.slack_id));
+  const { data: messages } = await supabase
+    .from("pto_approval_messages")
+    .select("slack_id, channel, ts")
+    .eq("request_id", r.id);
+
+  for (const m of messages || []) {
+    if (notified.has(m.slack_id)) continue;
+    try {
+      await client.chat.update({
+        channel: m.channel,
+        ts: m.ts,
+        text: `✏️ <@${requesterSlackId}> edited this *${r.type}* request (${json.changes.join(" · ")}) and it went back to the first approval step. No action needed for now.`,
+        blocks: [],
+      });
+    } catch (e) {
+      console.error(`Error updating approval message for ${m.slack_id}:`, e.message);
     }
   }
+}
+
+// shared by the change request Approve/Deny buttons
+async function decideChangeFromSlack(body, client, decision) {
+  const change_id = body.actions[0].value;
+  const decided_by_slack_id = body.user.id;
+  const channel = body.channel?.id || body.user.id;
+
+  const resp = await fetch(`${BASE_URL}/pto/change/${decision}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ change_id, decided_by_slack_id }),
+  });
+
+  const json = await resp.json();
+
+  if (!resp.ok) {
+    await client.chat.postMessage({
+      channel,
+      text:
+        `❌ No se pudo decidir el cambio: ${json.error || "error"}` +
+        (json.details
+          ? ` (quedan ${json.details.remaining_days} días de ${json.details.type}, el cambio pide ${json.details.requested_days})`
+          : ""),
+    });
+    return;
+  }
+
+  const { change, request } = json;
+  const cancelling = change.action === "cancel";
+  const changes = changeSummary(change);
+  const { data: requester } = await supabase.from("users").select("slack_id").eq("id", request.user_id).single();
+
+  // every DM asking for this change (all admins when there is no approver) shows the outcome
+  // instead of the buttons
+  const outcome = cancelling
+    ? decision === "approve" ? "🚫 *Cancellation confirmed*" : "❌ *Cancellation denied*"
+    : decision === "approve" ? "✅ *Change approved*" : "❌ *Change denied*";
+  const outcomeText =
+    `${outcome} by <@${decided_by_slack_id}>: <@${requester?.slack_id}>'s *${request.type}* ` +
+    `(${cancelling ? formatRequestDates(request) : changes})`;
+  await closeApprovalMessages(client, request.id, outcomeText, { changeId: change.id });
+  if (body.message && body.channel) {
+    await client.chat.update({ channel: body.channel.id, ts: body.message.ts, text: outcomeText, blocks: [] });
+  }
+
+  if (cancelling && decision === "approve") {
+    await dispatchRequestEvent(client, "cancelled", request, {
+      actorSlackId: decided_by_slack_id,
+      note: "Los días vuelven a tu balance.",
+    });
+  } else {
+    let note;
+    if (cancelling) note = "Tu cancelación no fue aprobada: la solicitud sigue aprobada.";
+    else if (decision === "approve") note = `Tu cambio fue aprobado (${changes}).`;
+    else note = `Tu cambio no fue aprobado (${changes}). Sigue vigente lo que ya estaba aprobado.`;
+    await dispatchRequestEvent(client, "edited", request, { actorSlackId: decided_by_slack_id, note });
+  }
+  if (requester?.slack_id) await publishHome(client, requester.slack_id);
+
+  // el equipo ya había visto estas fechas como aprobadas
+  if (cancelling && decision === "approve") {
+    await postToTeamChannel(client, `🚫 <@${requester?.slack_id}>'s *${request.type}* (${formatRequestDates(request)}) was cancelled`);
+  }
+  await publishHome(client, decided_by_slack_id);
+}
+
+slack.action("pto_change_approve_btn", async ({ ack, body, client }) => {
+  await ack();
+  await decideChangeFromSlack(body, client, "approve");
+});
+
+slack.action("pto_change_deny_btn", async ({ ack, body, client }) => {
+  await ack();
+  await decideChangeFromSlack(body, client, "deny");
 });
 
 // ---------------------------
@@ -869,23 +2760,114 @@ slack.action("pto_cancel_btn", async ({ ack, body, client }) => {
     return;
   }
 
+  // aprobada: la cancelación queda esperando al approver
+  if (json.cancellation_requested) {
+    const r = json.request;
+    await notifyChangeRequest(client, r, json.cancellation_requested, slack_id);
+    try {
+      await publishHome(client, slack_id);
+      const dm = await client.conversations.open({ users: slack_id });
+      await client.chat.postMessage({
+        channel: dm.channel.id,
+        text:
+          `🕓 Pediste cancelar *${r.type}* (${formatRequestDates(r)}). ` +
+          `Tu approver tiene que confirmarlo; hasta entonces la solicitud sigue aprobada.`,
+      });
+    } catch (e) {
+      console.error("Error refreshing home or sending confirmation:", e);
+    }
+    return;
+  }
+
   console.log(`✅ Cancel successful: request ${request_id} cancelled`);
 
-  // Success: refresh Home tab and send confirmation
+  // Success: refresh Home tab and send confirmation (/pto/cancel already rewrote the approver's DM)
   try {
     await publishHome(client, slack_id);
-    
-    // Send confirmation DM
-    const dm = await client.conversations.open({ users: slack_id });
-    await client.chat.postMessage({
-      channel: dm.channel.id,
-      text: `✅ Solicitud cancelada exitosamente.`,
-    });
+    await dispatchRequestEvent(client, "cancelled", json.cancelled, { actorSlackId: slack_id, to: ["requester"] });
   } catch (e) {
     console.error("Error refreshing home or sending confirmation:", e);
   }
 });
 
+// End early: modal with the new last day off
+slack.action("home_end_early", async ({ ack, body, client }) => {
+  await ack();
+
+  const { data: request } = await supabase
+    .from("pto_requests")
+    .select("id, type, start_date, end_date, day_part, hours, days_count")
+    .eq("id", body.actions[0].value)
+    .single();
+
+  if (!request) return;
+
+  const yesterday = addDays(todayStr(), -1);
+  await client.views.open({
+    trigger_id: body.trigger_id,
+    view: {
+      type: "modal",
+      callback_id: "pto_end_early_submit",
+      private_metadata: String(request.id),
+      title: { type: "plain_text", text: "End leave early" },
+      submit: { type: "plain_text", text: "End early" },
+      close: { type: "plain_text", text: "Cancel" },
+      blocks: [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `*${request.type}* (${formatRequestDates(request)}, ${request.days_count} days). The days you don't take go back to your balance.`,
+          },
+        },
+        {
+          type: "input",
+          block_id: "end_date_block",
+          label: { type: "plain_text", text: "Last day off" },
+          element: {
+            type: "datepicker",
+            action_id: "end_date",
+            initial_date: request.start_date > yesterday ? request.start_date : yesterday,
+          },
+        },
+      ],
+    },
+  });
+});
+
+slack.view("pto_end_early_submit", async ({ ack, body, view, client }) => {
+  const slack_id = body.user.id;
+  const request_id = view.private_metadata;
+  const end_date = view.state.values.end_date_block.end_date.selected_date;
+
+  const resp = await fetch(`${BASE_URL}/pto/end-early`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ slack_id, request_id, end_date }),
+  });
+
+  const json = await resp.json();
+
+  if (!resp.ok) {
+    await ack({ response_action: "errors", errors: { end_date_block: json?.error || "No se pudo terminar antes." } });
+    return;
+  }
+
+  await ack({ response_action: "clear" });
+
+  const { request, previous, refunded_days } = json;
+  const text = `↩️ <@${slack_id}> is back early: *${request.type}* now ends ${request.end_date} (was ${previous.end_date})`;
+
+  // aviso al requester y al approver (o al manager, si se aprobó sola), y al canal
+  await dispatchRequestEvent(client, "edited", request, {
+    actorSlackId: slack_id,
+    note: `↩️ Termina antes: era hasta el ${previous.end_date}. Volvieron ${refunded_days} días al balance.`,
+  });
+  await postToTeamChannel(client, text);
+
+  await publishHome(client, slack_id);
+});
+
 // ---------------------------
 // API: users
 // ---------------------------
@@ -900,7 +2882,7 @@ app.post("/users", async (req, res) => {
         slack_id,
         country,
         manager_id: manager_id || null,
-        annual_allowance_days: annual_allowance_days ?? 20,
+        annual_allowance_days: annual_allowance_days ?? null,
       },
     ])
     .select()
@@ -912,18 +2894,59 @@ app.post("/users", async (req, res) => {
 });
 
 app.get("/users", async (req, res) => {
-  const { data, error } = await supabase.from("users").select("*");
+  const { data, error } = await supabase.from("users").select("*").eq("is_system", false);
   res.json({ data, error });
 });
 
+// Pending/approved leave of the user that can't share days with r (see requestsConflict)
+async function findOverlaps(userId, r, excludeRequestId = null) {
+  let query = supabase
+    .from("pto_requests")
+    .select("id, status, start_date, end_date, day_part, hours, days_count")
+    .eq("user_id", userId)
+    .eq("kind", "leave")
+    .in("status", ["pending", "approved"])
+    .lte("start_date", r.end_date)
+    .gte("end_date", r.start_date);
+  if (excludeRequestId) query = query.neq("id", excludeRequestId);
+
+  const { data, error } = await query;
+  if (error) return { overlaps: null, error };
+  return { overlaps: (data || []).filter((o) => requestsConflict(o, r)), error: null };
+}
+
 // ---------------------------
-// API: PTO request
+// Checks shared by new requests and edits (POST /pto/request, POST /pto/edit):
+// type, duration, eligibility, policy rules, balance and overlaps.
+// Returns { reject: { status, body } } for the first failure, or what was computed on the way.
+// editing: the request being changed; its own days and dates don't count against the new version.
 // ---------------------------
-app.post("/pto/request", async (req, res) => {
-  const { slack_id, start_date, end_date, category, type, reason } = req.body;
+async function checkLeaveRequest(input, { editing = null } = {}) {
+  const { slack_id, start_date, end_date, category, type } = input;
+  const day_part = input.day_part || "full";
+  const hours = day_part === "hours" ? Number(input.hours) : null;
+  const reject = (status, body) => ({ reject: { status, body } });
 
   if (!isValidPto(category, type)) {
-    return res.status(400).json({ error: "Invalid PTO category/type" });
+    return reject(400, { error: "Invalid PTO category/type" });
+  }
+
+  if (!DAY_PART_OPTIONS.some((o) => o.value === day_part)) {
+    return reject(400, { error: "Invalid duration", field: "day_part" });
+  }
+
+  if (day_part !== "full" && start_date !== end_date) {
+    return reject(400, {
+      error: "Half-day and hourly requests must start and end on the same date",
+      field: "day_part",
+    });
+  }
+
+  if (day_part === "hours" && !(hours > 0 && hours < HOURS_PER_DAY)) {
+    return reject(400, {
+      error: `Hours must be more than 0 and less than ${HOURS_PER_DAY} (use a full day instead)`,
+      field: "hours",
+    });
   }
 
   const { data: user, error: userError } = await supabase
@@ -932,98 +2955,219 @@ app.post("/pto/request", async (req, res) => {
     .eq("slack_id", slack_id)
     .single();
 
-  if (userError) return res.status(400).json({ error: userError });
+  if (userError) return reject(400, { error: userError });
+
+  // business days, excluding the requester's public holidays
+  const holidays = await getHolidays(user, start_date, end_date);
+  const businessDays = countBusinessDays(start_date, end_date, holidays);
+  if (!businessDays) return reject(400, { error: "Invalid dates" });
 
-  const days = countBusinessDays(start_date, end_date);
-  if (!days) return res.status(400).json({ error: "Invalid dates" });
+  let days = businessDays;
+  if (day_part === "am" || day_part === "pm") days = 0.5;
+  if (day_part === "hours") days = roundDays(hours / HOURS_PER_DAY);
 
   // policy
   const { ptoType, error: typeError } = await getPtoType(category, type);
   if (typeError || !ptoType) {
-    return res.status(400).json({ error: "Unknown PTO type" });
+    return reject(400, { error: "Unknown PTO type" });
   }
 
   // eligibility
-  const elig = checkEligibility(user, ptoType);
+  const { usedTypes, error: usedError } = await loadUsedTypes(user.id, editing?.id);
+  if (usedError) return reject(400, { error: usedError });
+  const elig = checkEligibility(user, ptoType, { usedTypes });
   if (!elig.ok) {
-    return res.status(403).json({ error: elig.reason });
+    return reject(403, { error: elig.reason });
   }
 
-  // balance check (if needed)
-  if (!ptoType.is_unlimited && ptoType.counts_against_balance) {
-    const { used, error: usedError } = await getUsedDaysForType(user.id, category, type);
-    if (usedError) return res.status(400).json({ error: usedError });
-
-    const allowance = ptoType.annual_allowance_days ?? 0;
-    const remaining = allowance - used;
-
-    if (days > remaining) {
-      return res.status(400).json({
-        error: "Request exceeds remaining balance",
-        details: {
-          requested_days: days,
-          remaining_days: remaining,
-          allowance_days: allowance,
-          used_days: used,
-          category,
-          type,
-        },
-      });
-    }
+  // policy rules: blocks reject, warnings travel with the request to the approver
+  const { rules, error: rulesError } = await loadPolicyRules(category, type);
+  if (rulesError) return reject(400, { error: rulesError });
+
+  const violations = evaluatePolicyRules(rules, { type, start_date, end_date, days_count: days });
+  const blocking = violations.filter((v) => v.enforcement === "block");
+  if (blocking.length > 0) {
+    return reject(400, {
+      error: "Request breaks a leave policy rule",
+      field: blocking[0].field,
+      violations: blocking,
+    });
   }
+  const warnings = violations.map((v) => v.message);
 
-  // overlap check
-  const { data: overlaps, error: overlapError } = await supabase
-    .from("pto_requests")
-    .select("id, status, start_date, end_date")
-    .eq("user_id", user.id)
-    .in("status", ["pending", "approved"])
-    .lte("start_date", end_date)
-    .gte("end_date", start_date);
+  // snapshot for the optimistic balance check in create_pto_request / edit_pto_request
+  let openDaysSeen = null;
+  if (!ptoType.is_unlimited && ptoType.counts_against_balance) {
+    const { days: openDays, error: openError } = await getOpenDays(user.id, category, type);
+    if (openError) return reject(400, { error: openError });
+    openDaysSeen = openDays;
+  }
 
-  if (overlapError) return res.status(400).json({ error: overlapError });
+  // balance check (if needed): pending requests reserve days
+  const balanceCheck = await checkRequestBalance(user, ptoType, { start_date, end_date, days_count: days }, holidays, {
+    releasing: editing,
+  });
+  if (balanceCheck.error) return reject(400, { error: balanceCheck.error });
+  if (!balanceCheck.ok) {
+    return reject(400, { error: "Request exceeds remaining balance", details: balanceCheck.details });
+  }
 
-  if ((overlaps || []).length > 0) {
-    return res.status(400).json({
+  // overlap check (partial days on the same date may share it)
+  const { overlaps, error: overlapError } = await findOverlaps(
+    user.id,
+    { start_date, end_date, day_part, days_count: days },
+    editing?.id
+  );
+  if (overlapError) return reject(400, { error: overlapError });
+  if (overlaps.length > 0) {
+    return reject(400, {
       error: "Request overlaps with an existing PTO request",
       overlaps,
     });
   }
 
-  // insert request
-  const { data: request, error: reqError } = await supabase
-    .from("pto_requests")
-    .insert([
-      {
-        user_id: user.id,
-        start_date,
-        end_date,
-        days_count: days,
-        status: "pending",
-        category,
-        type,
-        reason: reason || null,
-        approver_id: user.manager_id,
-      },
-    ])
-    .select()
-    .single();
+  return { user, ptoType, days, day_part, hours, holidays, violations, warnings, openDaysSeen };
+}
+
+// ---------------------------
+// API: PTO request
+// ---------------------------
+app.post("/pto/request", async (req, res) => {
+  const { start_date, end_date, category, type, reason } = req.body;
+
+  const check = await checkLeaveRequest(req.body);
+  if (check.reject) return res.status(check.reject.status).json(check.reject.body);
+  const { user, ptoType, days, day_part, hours, holidays, violations, warnings, openDaysSeen } = check;
+
+  // who else on the team is out (for the approver, and auto-approval needs room on the team)
+  const coverage = await getTeamCoverage(user, { start_date, end_date }, holidays);
+  if (coverage.error) console.error("Error loading team coverage:", coverage.error);
+
+  // auto-approval: approved right away by the system, the manager only gets an FYI
+  const autoApprove = autoApprovalReason(ptoType, { days_count: days }, {
+    hasManager: !!user.manager_id,
+    violations,
+    coverage,
+  });
+  const systemId = autoApprove ? await getSystemUserId() : null;
+
+  // approval chain for this type/duration; the request starts with the first step's approver
+  const steps = autoApprove ? [] : await buildApprovalSteps(user, { category, type, days_count: days });
+
+  // insert request atomically: the DB function re-checks overlap and balance under a per-user lock,
+  // so two quick submits can't both get past the checks above
+  const { data: request, error: reqError } = await supabase.rpc("create_pto_request", {
+    p_request: {
+      user_id: user.id,
+      start_date,
+      end_date,
+      days_count: days,
+      day_part,
+      hours,
+      status: autoApprove ? "approved" : "pending",
+      ...(autoApprove && { decided_by: systemId, decided_at: new Date().toISOString() }),
+      category,
+      type,
+      reason: reason || null,
+      approver_id: steps[0]?.approver_id ?? null,
+      policy_warnings: warnings,
+      ...(ptoType.requires_document && {
+        document_status: "missing",
+        document_due_on: documentDueOn(ptoType, { start_date, end_date }),
+      }),
+    },
+    p_open_days_seen: openDaysSeen,
+  });
 
+  if (reqError?.hint === "overlap") {
+    return res.status(409).json({ error: "Request overlaps with an existing PTO request" });
+  }
+  if (reqError?.hint === "balance_changed") {
+    return res.status(409).json({ error: "Your balance changed while submitting. Please try again." });
+  }
   if (reqError) return res.status(400).json({ error: reqError });
 
+  if (steps.length > 0) await saveApprovalSteps(request.id, steps);
+
   res.json({
     request,
     computed_days: days,
+    holidays: [...holidays].map(([date, name]) => ({ date, name })),
     manager_id: user.manager_id,
     counts_against_balance: countsAgainstBalance(category, type),
+    warnings,
+    coverage: coverage.error ? null : coverage,
+    approval_steps: steps,
+    auto_approved: !!autoApprove,
+    auto_approved_reason: autoApprove || null,
+  });
+});
+
+// ---------------------------
+// API: log worked days as time off in lieu (an "earn" request; approval credits the TOIL balance)
+// ---------------------------
+app.post("/pto/earn", async (req, res) => {
+  const { slack_id, start_date, end_date, reason } = req.body;
+
+  if (!isValidDateStr(start_date) || !isValidDateStr(end_date) || end_date < start_date) {
+    return res.status(400).json({ error: "Invalid dates", field: "end_date" });
+  }
+  if (start_date > todayStr()) {
+    return res.status(400).json({ error: "You can only log days you already worked", field: "start_date" });
+  }
+  if (!reason || !reason.trim()) {
+    return res.status(400).json({ error: "Describe what you worked on", field: "reason" });
+  }
+
+  const { data: user, error: userError } = await supabase
+    .from("users")
+    .select("*")
+    .eq("slack_id", slack_id)
+    .single();
+
+  if (userError) return res.status(400).json({ error: userError });
+
+  // only weekends and the user's holidays earn a day: working a business day is just work
+  const holidays = await getHolidays(user, start_date, end_date);
+  const days = daysBetween(start_date, end_date) + 1 - countBusinessDays(start_date, end_date, holidays);
+  if (days === 0) {
+    return res.status(400).json({ error: "These dates have no weekend days or holidays to earn", field: "end_date" });
+  }
+  const steps = await buildApprovalSteps(user, { ...TOIL_TYPE, type: TOIL_TYPE.name, days_count: days });
+
+  const { data: request, error: reqError } = await supabase.rpc("create_pto_request", {
+    p_request: {
+      user_id: user.id,
+      kind: "earn",
+      start_date,
+      end_date,
+      days_count: days,
+      day_part: "full",
+      status: "pending",
+      category: TOIL_TYPE.category,
+      type: TOIL_TYPE.name,
+      reason: reason.trim(),
+      approver_id: steps[0].approver_id,
+    },
+    p_open_days_seen: null,
   });
+
+  if (reqError?.hint === "overlap") {
+    return res.status(409).json({ error: "You already logged worked days on these dates" });
+  }
+  if (reqError) return res.status(400).json({ error: reqError });
+
+  await saveApprovalSteps(request.id, steps);
+
+  res.json({ request, computed_days: days, manager_id: user.manager_id, approval_steps: steps });
 });
 
 // ---------------------------
 // API: approve/deny with permissions
 // ---------------------------
 app.post("/pto/approve", async (req, res) => {
-  const { request_id, decided_by_slack_id } = req.body;
+  const { request_id, decided_by_slack_id, override_coverage } = req.body;
+  const comment = req.body.comment?.trim() || null;
 
   if (!request_id || !decided_by_slack_id) {
     return res.status(400).json({ error: "request_id and decided_by_slack_id are required" });
@@ -1035,29 +3179,171 @@ app.post("/pto/approve", async (req, res) => {
   const perm = await canDecideRequest(request_id, decider.id, !!decider.is_admin);
   if (!perm.ok) return res.status(403).json({ error: perm.error });
 
-  const { data, error } = await supabase
+  // re-check the balance: days approved since the request was filed may have used it up
+  const { data: ptoRequest, error: ptoRequestError } = await supabase
     .from("pto_requests")
-    .update({
-      status: "approved",
-      decided_at: new Date().toISOString(),
-      decided_by: decider.id,
-    })
+    .select("*")
     .eq("id", request_id)
-    .select()
     .single();
 
+  if (ptoRequestError) return res.status(400).json({ error: ptoRequestError });
+
+  const [{ data: requester }, { ptoType }] = await Promise.all([
+    supabase.from("users").select("*").eq("id", ptoRequest.user_id).single(),
+    getPtoType(ptoRequest.category, ptoRequest.type),
+  ]);
+
+  // earn requests add days, so there is no balance to re-check
+  let approvedDaysSeen = null;
+  if (requester && ptoType && ptoRequest.kind !== "earn") {
+    // snapshot for the optimistic check in approve_pto_request (two approvals at once)
+    if (!ptoType.is_unlimited && ptoType.counts_against_balance) {
+      const { days, error: openError } = await getOpenDays(requester.id, ptoRequest.category, ptoRequest.type, ["approved"]);
+      if (openError) return res.status(400).json({ error: openError });
+      approvedDaysSeen = days;
+    }
+
+    const holidays = await getHolidays(requester, ptoRequest.start_date, ptoRequest.end_date);
+    const balanceCheck = await checkRequestBalance(requester, ptoType, ptoRequest, holidays, { approving: true });
+    if (balanceCheck.error) return res.status(400).json({ error: balanceCheck.error });
+    if (!balanceCheck.ok) {
+      return res.status(409).json({ error: "Request exceeds remaining balance", details: balanceCheck.details });
+    }
+  }
+
+  // team coverage: too many people out needs an explicit override
+  let coverageOverridden = false;
+  if (requester && ptoRequest.kind !== "earn") {
+    const holidays = await getHolidays(requester, ptoRequest.start_date, ptoRequest.end_date);
+    const coverage = await getTeamCoverage(requester, ptoRequest, holidays);
+    if (coverage.error) return res.status(400).json({ error: coverage.error });
+    if (coverage.breaches.length > 0) {
+      // an earlier step may already have accepted the breach
+      if (!override_coverage && !ptoRequest.coverage_overridden) {
+        return res.status(409).json({ error: "Approving this request breaks the team coverage limit", coverage });
+      }
+      coverageOverridden = true;
+    }
+  }
+
+  // approval chain: approving a step that isn't the last hands the request to the next one
+  const { data: steps } = await supabase
+    .from("pto_approval_steps")
+    .select("*")
+    .eq("request_id", request_id)
+    .order("step_order", { ascending: true });
+
+  const nextStep = (steps || []).find((s) => s.step_order === ptoRequest.current_step + 1);
+  if (nextStep) {
+    const { data: advanced, error: advanceError } = await supabase
+      .from("pto_requests")
+      .update({
+        current_step: nextStep.step_order,
+        approver_id: nextStep.approver_id,
+        coverage_overridden: coverageOverridden,
+        // reminders/escalation start over for the new step
+        awaiting_since: new Date().toISOString(),
+        last_reminded_at: null,
+        escalated_at: null,
+        escalated_to: null,
+      })
+      .eq("id", request_id)
+      .eq("status", "pending")
+      .eq("current_step", ptoRequest.current_step) // only one concurrent decision wins
+      .select()
+      .maybeSingle();
+
+    if (advanceError) return res.status(400).json({ error: advanceError });
+    if (!advanced) return res.status(409).json({ error: "Request is not pending (already decided)" });
+
+    await closeApprovalStep(request_id, ptoRequest.current_step, "approved", decider.id, perm.onBehalfOf, comment);
+    await supabase
+      .from("pto_approval_steps")
+      .update({ status: "pending" })
+      .eq("request_id", request_id)
+      .eq("step_order", nextStep.step_order);
+    await resolveApprovalMessages(advanced, "step_approved", {
+      deciderId: decider.id,
+      onBehalfOf: perm.onBehalfOf,
+      comment,
+      note: `Moved on to step ${nextStep.step_order}/${steps.length} (${APPROVAL_ROLES[nextStep.role] || nextStep.role})`,
+    });
+
+    return res.json({ advanced, next_step: nextStep, total_steps: steps.length });
+  }
+
+  // approve under the same per-user lock as create_pto_request: it re-checks that no other
+  // approval used the balance in the meantime, and only one concurrent decision wins
+  const { data, error } = await supabase.rpc("approve_pto_request", {
+    p_request_id: Number(request_id),
+    p_decision: {
+      decided_by: decider.id,
+      decided_on_behalf_of: perm.onBehalfOf || null,
+      decision_comment: comment,
+      coverage_overridden: coverageOverridden,
+    },
+    p_approved_days_seen: approvedDaysSeen,
+  });
+
+  if (error?.hint === "not_pending") return res.status(409).json({ error: "Request is not pending (already decided)" });
+  if (error?.hint === "balance_changed") {
+    return res.status(409).json({ error: "The balance changed while approving. Please try again." });
+  }
   if (error) return res.status(400).json({ error });
 
-  res.json({ approved: data });
+  // approved worked days become a (possibly expiring) TOIL credit. If it can't be saved the
+  // approval is undone: the request stays pending and can be approved again
+  let credit = null;
+  if (data.kind === "earn") {
+    const expiresAfter = ptoType?.credit_expires_after_days;
+    const { adjustment, error: creditError } = await createAdjustment({
+      userId: data.user_id,
+      category: data.category,
+      type: data.type,
+      days: data.days_count,
+      reason: `Worked ${data.start_date === data.end_date ? data.start_date : `${data.start_date} → ${data.end_date}`}: ${data.reason}`,
+      createdBy: decider.id,
+      expiresOn: expiresAfter ? addDays(todayStr(), expiresAfter) : null,
+      sourceRequestId: data.id,
+    });
+
+    if (creditError) {
+      console.error(`Error crediting worked days of request ${data.id}:`, creditError);
+      const { error: rollbackError } = await supabase
+        .from("pto_requests")
+        .update({
+          status: "pending",
+          decided_at: null,
+          decided_by: null,
+          decided_on_behalf_of: null,
+          decision_comment: null,
+          coverage_overridden: ptoRequest.coverage_overridden,
+        })
+        .eq("id", data.id)
+        .eq("status", "approved");
+      if (rollbackError) console.error(`Error reverting approval of request ${data.id}:`, rollbackError);
+      return res.status(500).json({ error: "Could not credit the worked days. The request is still pending, try again." });
+    }
+    credit = adjustment;
+  }
+
+  await closeApprovalStep(request_id, data.current_step, "approved", decider.id, perm.onBehalfOf, comment);
+  await resolveApprovalMessages(data, "approved", { deciderId: decider.id, onBehalfOf: perm.onBehalfOf, comment });
+
+  res.json(credit ? { approved: data, credit } : { approved: data });
 });
 
 app.post("/pto/deny", async (req, res) => {
   const { request_id, decided_by_slack_id } = req.body;
+  const comment = req.body.comment?.trim() || null;
 
   if (!request_id || !decided_by_slack_id) {
     return res.status(400).json({ error: "request_id and decided_by_slack_id are required" });
   }
 
+  // the requester gets the reason
+  if (!comment) return res.status(400).json({ error: "A reason is required to deny a request", field: "comment" });
+
   const { user: decider, error: deciderError } = await getUserBySlackId(decided_by_slack_id);
   if (deciderError || !decider) return res.status(400).json({ error: "Decider not found" });
 
@@ -1070,12 +3356,19 @@ app.post("/pto/deny", async (req, res) => {
       status: "denied",
       decided_at: new Date().toISOString(),
       decided_by: decider.id,
+      decided_on_behalf_of: perm.onBehalfOf || null,
+      decision_comment: comment,
     })
     .eq("id", request_id)
+    .eq("status", "pending") // only one concurrent decision wins
     .select()
-    .single();
+    .maybeSingle();
 
   if (error) return res.status(400).json({ error });
+  if (!data) return res.status(409).json({ error: "Request is not pending (already decided)" });
+
+  await closeApprovalStep(request_id, data.current_step, "denied", decider.id, perm.onBehalfOf, comment);
+  await resolveApprovalMessages(data, "denied", { deciderId: decider.id, onBehalfOf: perm.onBehalfOf, comment });
 
   res.json({ denied: data });
 });
@@ -1109,7 +3402,7 @@ app.post("/pto/cancel", async (req, res) => {
   // Get request and verify ownership
   const { data: request, error: reqError } = await supabase
     .from("pto_requests")
-    .select("id, user_id, status, start_date")
+    .select("*")
     .eq("id", reqId)
     .single();
 
@@ -1131,11 +3424,42 @@ app.post("/pto/cancel", async (req, res) => {
     });
   }
 
-  // Optional: Check if start date has passed (you might want to allow cancelling past requests)
-  // const today = new Date().toISOString().split('T')[0];
-  // if (request.start_date < today && request.status === "approved") {
-  //   return res.status(400).json({ error: "Cannot cancel an approved request that has already started" });
-  // }
+  // approved worked days are already credited; reversing them is a balance adjustment
+  if (request.kind === "earn" && request.status === "approved") {
+    return res.status(400).json({ error: "Approved worked days were already credited. Ask HR to adjust your balance." });
+  }
+
+  // approved leave: started leave can only end early, and a cancellation needs the approver
+  if (request.status === "approved") {
+    const today = todayStr();
+    if (request.end_date < today) {
+      return res.status(400).json({ error: "This leave is already over and can't be cancelled" });
+    }
+    if (request.start_date <= today) {
+      return res.status(400).json({ error: "This leave has already started. End it early instead." });
+    }
+
+    const { data: change, error: changeError } = await supabase
+      .from("pto_request_changes")
+      .insert({
+        request_id: request.id,
+        requested_by: user.id,
+        action: "cancel",
+        previous: editableFields(request),
+        proposed: editableFields(request),
+        status: "pending",
+        approver_id: await changeApproverId(user, request),
+      })
+      .select()
+      .single();
+
+    // the unique index allows one open change per request
+    if (changeError?.code === "23505") {
+      return res.status(409).json({ error: "A change to this request is already waiting for approval" });
+    }
+    if (changeError) return res.status(400).json({ error: changeError });
+    return res.json({ request, cancellation_requested: change });
+  }
 
   // Update request to cancelled
   const { data, error } = await supabase
@@ -1146,77 +3470,425 @@ app.post("/pto/cancel", async (req, res) => {
       decided_by: user.id, // User cancelling their own request
     })
     .eq("id", reqId)
+    .eq("status", request.status) // fails if it was decided in the meantime
     .select()
-    .single();
+    .maybeSingle();
 
   if (error) {
     console.error(`❌ Cancel: Database error`, error);
     return res.status(400).json({ error });
   }
 
+  if (!data) {
+    return res.status(409).json({ error: "Request status changed in the meantime. Please refresh and try again." });
+  }
+
+  // a change waiting for approval has nothing left to change
+  await supabase.from("pto_request_changes").update({ status: "cancelled" }).eq("request_id", reqId).eq("status", "pending");
+  // the approver has nothing left to decide
+  await resolveApprovalMessages(data, "cancelled", { deciderId: user.id });
+
   console.log(`✅ Cancel: Request ${reqId} successfully cancelled`);
   res.json({ cancelled: data });
 });
 
 // ---------------------------
-// API: balance endpoint (JSON)
+// API: end in-progress leave early (only the days not taken yet go back to the balance)
 // ---------------------------
-app.get("/pto/balance/:slack_id", async (req, res) => {
-  const { slack_id } = req.params;
+app.post("/pto/end-early", async (req, res) => {
+  const { slack_id, request_id, end_date } = req.body;
 
-  const { data: user, error: userError } = await supabase
-    .from("users")
+  if (!request_id || !slack_id || !isValidDateStr(end_date)) {
+    return res.status(400).json({ error: "request_id, slack_id and end_date (YYYY-MM-DD) are required" });
+  }
+
+  const { user, error: userError } = await getUserBySlackId(slack_id);
+  if (userError || !user) return res.status(400).json({ error: "User not found" });
+
+  const { data: request, error: reqError } = await supabase
+    .from("pto_requests")
     .select("*")
-    .eq("slack_id", slack_id)
+    .eq("id", request_id)
     .single();
 
-  if (userError) return res.status(400).json({ error: userError });
+  if (reqError || !request) return res.status(400).json({ error: "Request not found" });
+  if (request.user_id !== user.id) return res.status(403).json({ error: "You can only end your own leave" });
+
+  const today = todayStr();
+  if (request.kind !== "leave" || request.status !== "approved" || request.start_date > today || request.end_date < today) {
+    return res.status(400).json({ error: "Only approved leave in progress can be ended early" });
+  }
+  if (request.day_part !== "full") {
+    return res.status(400).json({ error: "Half-day and hourly requests can't be ended early" });
+  }
+
+  // the new last day off: not before the leave started, and days already gone stay taken
+  if (end_date < request.start_date || end_date < addDays(today, -1) || end_date >= request.end_date) {
+    return res.status(400).json({
+      error: `The last day off must be between ${request.start_date > addDays(today, -1) ? request.start_date : addDays(today, -1)} and ${addDays(request.end_date, -1)}`,
+      field: "end_date",
+    });
+  }
 
-  const { data: types, error: typesError } = await supabase.from("pto_types").select("*");
-  if (typesError) return res.status(400).json({ error: typesError });
+  const holidays = await getHolidays(user, request.start_date, end_date);
+  const days = countBusinessDays(request.start_date, end_date, holidays);
 
-  const { data: approved, error: reqError } = await supabase
+  const { data: ended, error: endError } = await supabase
     .from("pto_requests")
-    .select("days_count, category, type")
-    .eq("user_id", user.id)
-    .eq("status", "approved");
+    .update({ end_date, days_count: days })
+    .eq("id", request.id)
+    .eq("status", "approved")
+    .eq("end_date", request.end_date) // fails if it changed in the meantime
+    .select()
+    .maybeSingle();
+
+  if (endError) return res.status(400).json({ error: endError });
+  if (!ended) return res.status(409).json({ error: "Request changed in the meantime. Please refresh and try again." });
+
+  const { error: historyError } = await supabase.from("pto_request_changes").insert({
+    request_id: request.id,
+    requested_by: user.id,
+    action: "end_early",
+    previous: editableFields(request),
+    proposed: editableFields(ended),
+    status: "applied",
+  });
+  if (historyError) console.error(`Error saving end-early history for request ${request.id}:`, historyError);
 
-  if (reqError) return res.status(400).json({ error: reqError });
+  res.json({ request: ended, previous: request, refunded_days: roundDays(request.days_count - days) });
+});
+
+// ---------------------------
+// Request edits (pto_request_changes). Editing a pending request re-runs every check and
+// restarts its approval; editing an approved one files a change for the approver, and the
+// approved dates hold until it is decided. Every edit keeps the version before and after.
+// ---------------------------
+const EDITABLE_FIELDS = ["category", "type", "start_date", "end_date", "day_part", "hours", "days_count", "reason"];
+
+function editableFields(r) {
+  return Object.fromEntries(EDITABLE_FIELDS.map((f) => [f, r[f] ?? null]));
+}
+
+// "Dates: ~2026-03-02 → 2026-03-06~ → *2026-03-09 → 2026-03-13*" for each thing an edit changes
+function requestDiffLines(before, after) {
+  const lines = [];
+  const diff = (label, from, to) => {
+    if (String(from ?? "") !== String(to ?? "")) lines.push(`${label}: ~${from ?? "—"}~ → *${to ?? "—"}*`);
+  };
+  diff("Type", before.type, after.type);
+  diff("Dates", formatRequestDates(before), formatRequestDates(after));
+  diff("Days", before.days_count, after.days_count);
+  diff("Reason", before.reason, after.reason);
+  return lines;
+}
+
+// document_status/document_due_on for the new version of an edited request
+function documentFields(ptoType, r, current) {
+  if (!ptoType.requires_document) return { document_status: null, document_due_on: null };
+  return {
+    document_status: current.document_status === "received" ? "received" : "missing",
+    document_due_on: documentDueOn(ptoType, r),
+  };
+}
+
+// What a change does, for DMs and the Home tab
+function changeSummary(change) {
+  if (change.action === "cancel") return "cancel the request";
+  return requestDiffLines(change.previous, change.proposed).join(" · ");
+}
 
-  const usedByType = {};
-  for (const r of approved || []) {
-    const key = typeKey(r.category, r.type);
-    usedByType[key] = (usedByType[key] || 0) + (r.days_count || 0);
+// Who decides a change to an approved request: whoever approved it, or the first approver
+// it would have today (admins when that is nobody, e.g. it was auto-approved without a manager)
+async function changeApproverId(user, request) {
+  return request.approver_id ?? (await buildApprovalSteps(user, request))[0]?.approver_id ?? null;
+}
+
+// Same rules as canDecideRequest, for a change to an approved request
+async function canDecideChange(change, decider) {
+  if (change.status !== "pending") return { ok: false, error: `Change is not pending (current: ${change.status})` };
+  // only the owner edits or cancels a request, so requested_by is the requester
+  if (change.requested_by === decider.id) return { ok: false, error: "You can't decide a change to your own request" };
+  if (decider.is_admin || change.approver_id === decider.id) return { ok: true };
+  if (change.approver_id && (await delegateFor(change.approver_id)) === decider.id) {
+    return { ok: true, onBehalfOf: change.approver_id };
   }
+  return { ok: false, error: "Not authorized: only the approver, their delegate or an admin can decide this change" };
+}
 
-  const balances = [];
-  for (const t of types) {
-    if (t.eligibility_rule === "STUDENTS_ONLY" && !user.is_student) continue;
+app.post("/pto/edit", async (req, res) => {
+  const { slack_id, request_id, start_date, end_date, category, type, reason } = req.body;
 
-    const key = typeKey(t.category, t.name);
-    const used = usedByType[key] || 0;
+  if (!request_id || !slack_id) {
+    return res.status(400).json({ error: "request_id and slack_id are required" });
+  }
 
-    if (t.is_unlimited) {
-      balances.push({ category: t.category, type: t.name, unlimited: true, used_days: used });
-      continue;
-    }
+  const { user, error: userError } = await getUserBySlackId(slack_id);
+  if (userError || !user) return res.status(400).json({ error: "User not found" });
+
+  const { data: request, error: reqError } = await supabase
+    .from("pto_requests")
+    .select("*")
+    .eq("id", request_id)
+    .single();
+
+  if (reqError || !request) return res.status(400).json({ error: "Request not found" });
+  if (request.user_id !== user.id) return res.status(403).json({ error: "You can only edit your own requests" });
+  if (request.kind !== "leave") return res.status(400).json({ error: "Only leave requests can be edited" });
+  if (request.status !== "pending" && request.status !== "approved") {
+    return res.status(400).json({ error: `Cannot edit a ${request.status} request` });
+  }
+  if (request.status === "approved" && request.start_date <= todayStr()) {
+    return res.status(400).json({ error: "This leave has already started and can't be edited" });
+  }
+
+  const { data: openChange } = await supabase
+    .from("pto_request_changes")
+    .select("id")
+    .eq("request_id", request.id)
+    .eq("status", "pending")
+    .maybeSingle();
+  if (openChange) return res.status(409).json({ error: "A change to this request is already waiting for approval" });
+
+  const check = await checkLeaveRequest(req.body, { editing: request });
+  if (check.reject) return res.status(check.reject.status).json(check.reject.body);
+  const { ptoType, days, day_part, hours, holidays, warnings, openDaysSeen } = check;
+
+  const before = editableFields(request);
+  const after = { category, type, start_date, end_date, day_part, hours, days_count: days, reason: reason || null };
+  const changes = requestDiffLines(before, after);
+  if (changes.length === 0) return res.status(400).json({ error: "Nothing to change" });
+
+  const coverage = await getTeamCoverage(user, after, holidays);
+  if (coverage.error) console.error("Error loading team coverage:", coverage.error);
+
+  // approved: the change waits for the approver
+  if (request.status === "approved") {
+    const approverId = await changeApproverId(user, request);
+    const { data: change, error: changeError } = await supabase
+      .from("pto_request_changes")
+      .insert({
+        request_id: request.id,
+        requested_by: user.id,
+        previous: before,
+        proposed: after,
+        policy_warnings: warnings,
+        status: "pending",
+        approver_id: approverId,
+      })
+      .select()
+      .single();
+
+    if (changeError) return res.status(400).json({ error: changeError });
+    return res.json({ request, change, changes, warnings, coverage: coverage.error ? null : coverage });
+  }
+
+  // pending: edited in place, and the approval starts over from the first step. Like creation,
+  // the DB function re-checks overlap and balance under the per-user lock (and replaces the steps)
+  const steps = await buildApprovalSteps(user, after);
+  const { data: edited, error: editError } = await supabase.rpc("edit_pto_request", {
+    p_request_id: request.id,
+    p_changes: {
+      ...after,
+      ...documentFields(ptoType, after, request),
+      policy_warnings: warnings,
+      current_step: 1,
+      approver_id: steps[0]?.approver_id ?? null,
+      coverage_overridden: false,
+      awaiting_since: new Date().toISOString(),
+      last_reminded_at: null,
+      escalated_at: null,
+      escalated_to: null,
+    },
+    p_steps: steps,
+    p_open_days_seen: openDaysSeen,
+  });
+
+  if (editError?.hint === "not_pending") {
+    return res.status(409).json({ error: "Request status changed in the meantime. Please refresh and try again." });
+  }
+  if (editError?.hint === "overlap") {
+    return res.status(409).json({ error: "Request overlaps with an existing PTO request" });
+  }
+  if (editError?.hint === "balance_changed") {
+    return res.status(409).json({ error: "Your balance changed while editing. Please try again." });
+  }
+  if (editError) return res.status(400).json({ error: editError });
+
+  const { error: historyError } = await supabase.from("pto_request_changes").insert({
+    request_id: request.id,
+    requested_by: user.id,
+    previous: before,
+    proposed: after,
+    policy_warnings: warnings,
+    status: "applied",
+  });
+  if (historyError) console.error(`Error saving edit history for request ${request.id}:`, historyError);
 
-    const allowance = t.annual_allowance_days ?? 0;
-    const remaining = t.counts_against_balance ? Math.max(allowance - used, 0) : allowance;
+  res.json({
+    request: edited,
+    changes,
+    warnings,
+    coverage: coverage.error ? null : coverage,
+    approval_steps: steps,
+  });
+});
+
+app.post("/pto/change/approve", async (req, res) => {
+  const { change_id, decided_by_slack_id } = req.body;
+
+  if (!change_id || !decided_by_slack_id) {
+    return res.status(400).json({ error: "change_id and decided_by_slack_id are required" });
+  }
+
+  const { user: decider, error: deciderError } = await getUserBySlackId(decided_by_slack_id);
+  if (deciderError || !decider) return res.status(400).json({ error: "Decider not found" });
+
+  const { data: change, error: changeError } = await supabase
+    .from("pto_request_changes")
+    .select("*")
+    .eq("id", change_id)
+    .single();
+  if (changeError || !change) return res.status(400).json({ error: "Change not found" });
+
+  const perm = await canDecideChange(change, decider);
+  if (!perm.ok) return res.status(403).json({ error: perm.error });
+
+  const { data: request } = await supabase.from("pto_requests").select("*").eq("id", change.request_id).single();
+  if (request?.status !== "approved") {
+    return res.status(409).json({ error: `The request is no longer approved (current: ${request?.status})` });
+  }
 
-    balances.push({
-      category: t.category,
-      type: t.name,
-      unlimited: false,
-      allowance_days: allowance,
-      used_days: used,
-      remaining_days: remaining,
-      counts_against_balance: t.counts_against_balance,
-      carryover_allowed: t.carryover_allowed,
+  const decision = { decided_by: decider.id, decided_on_behalf_of: perm.onBehalfOf || null };
+  let requestChanges = {};
+  let approvedDaysSeen = null;
+
+  // cancellation: nothing to re-check, the days go back to the balance
+  if (change.action !== "cancel") {
+    const [{ data: requester }, { ptoType }] = await Promise.all([
+      supabase.from("users").select("*").eq("id", request.user_id).single(),
+      getPtoType(change.proposed.category, change.proposed.type),
+    ]);
+    if (!requester || !ptoType) return res.status(400).json({ error: "Requester or PTO type not found" });
+
+    // snapshot for the optimistic check in approve_pto_change (an approval of another request at once)
+    if (!ptoType.is_unlimited && ptoType.counts_against_balance) {
+      const { days, error: openError } = await getOpenDays(requester.id, ptoType.category, ptoType.name, ["approved"]);
+      if (openError) return res.status(400).json({ error: openError });
+      approvedDaysSeen = days;
+    }
+
+    // the new dates were never reserved: re-check balance and overlaps against today's data
+    const holidays = await getHolidays(requester, change.proposed.start_date, change.proposed.end_date);
+    const balanceCheck = await checkRequestBalance(requester, ptoType, change.proposed, holidays, {
+      approving: true,
+      releasing: request,
     });
+    if (balanceCheck.error) return res.status(400).json({ error: balanceCheck.error });
+    if (!balanceCheck.ok) {
+      return res.status(409).json({ error: "Change exceeds remaining balance", details: balanceCheck.details });
+    }
+
+    const { overlaps, error: overlapError } = await findOverlaps(requester.id, change.proposed, request.id);
+    if (overlapError) return res.status(400).json({ error: overlapError });
+    if (overlaps.length > 0) return res.status(409).json({ error: "The new dates overlap with another PTO request", overlaps });
+
+    requestChanges = {
+      ...change.proposed,
+      ...documentFields(ptoType, change.proposed, request),
+      policy_warnings: change.policy_warnings,
+    };
+  }
+
+  // the DB function decides the change and updates the request in one transaction, under the
+  // same per-user lock as create_pto_request, re-checking overlap and balance for the new dates
+  const { data, error } = await supabase.rpc("approve_pto_change", {
+    p_change_id: change.id,
+    p_decision: decision,
+    p_request_changes: requestChanges,
+    p_approved_days_seen: approvedDaysSeen,
+  });
+
+  if (error?.hint === "not_pending") return res.status(409).json({ error: "Change is not pending (already decided)" });
+  if (error?.hint === "not_approved") return res.status(409).json({ error: "Request status changed in the meantime" });
+  if (error?.hint === "overlap") return res.status(409).json({ error: "The new dates overlap with another PTO request" });
+  if (error?.hint === "balance_changed") {
+    return res.status(409).json({ error: "The balance changed while approving. Please try again." });
+  }
+  if (error) return res.status(400).json({ error });
+
+  if (change.action === "cancel") {
+    await resolveApprovalMessages(data.request, "cancelled", { deciderId: decider.id, onBehalfOf: perm.onBehalfOf });
+  }
+  res.json({ change: data.change, request: data.request });
+});
+
+app.post("/pto/change/deny", async (req, res) => {
+  const { change_id, decided_by_slack_id } = req.body;
+
+  if (!change_id || !decided_by_slack_id) {
+    return res.status(400).json({ error: "change_id and decided_by_slack_id are required" });
+  }
+
+  const { user: decider, error: deciderError } = await getUserBySlackId(decided_by_slack_id);
+  if (deciderError || !decider) return res.status(400).json({ error: "Decider not found" });
+
+  const { data: change, error: changeError } = await supabase
+    .from("pto_request_changes")
+    .select("*")
+    .eq("id", change_id)
+    .single();
+  if (changeError || !change) return res.status(400).json({ error: "Change not found" });
+
+  const perm = await canDecideChange(change, decider);
+  if (!perm.ok) return res.status(403).json({ error: perm.error });
+
+  const { data: decided, error } = await supabase
+    .from("pto_request_changes")
+    .update({
+      status: "denied",
+      decided_by: decider.id,
+      decided_on_behalf_of: perm.onBehalfOf || null,
+      decided_at: new Date().toISOString(),
+    })
+    .eq("id", change.id)
+    .eq("status", "pending") // only one concurrent decision wins
+    .select()
+    .maybeSingle();
+
+  if (error) return res.status(400).json({ error });
+  if (!decided) return res.status(409).json({ error: "Change is not pending (already decided)" });
+
+  const { data: request } = await supabase.from("pto_requests").select("*").eq("id", change.request_id).single();
+  res.json({ change: decided, request });
+});
+
+// ---------------------------
+// API: balance endpoint (JSON)
+// ---------------------------
+app.get("/pto/balance/:slack_id", async (req, res) => {
+  const { slack_id } = req.params;
+
+  const { data: user, error: userError } = await supabase
+    .from("users")
+    .select("*")
+    .eq("slack_id", slack_id)
+    .single();
+
+  if (userError) return res.status(400).json({ error: userError });
+
+  // ?as_of=YYYY-MM-DD projects the balance to a future date
+  const { as_of } = req.query;
+  if (as_of && !isValidDateStr(as_of)) {
+    return res.status(400).json({ error: "as_of must be YYYY-MM-DD" });
   }
 
-  res.json({ user: user.name, is_student: !!user.is_student, balances });
+  const period = getLeavePeriod(as_of || todayStr());
+  const { balances, error: balanceError } = as_of
+    ? await getBalances(user, period, as_of)
+    : await getBalances(user, period);
+  if (balanceError) return res.status(400).json({ error: balanceError });
+
+  res.json({ user: user.name, is_student: !!user.is_student, period, balances });
 });
 
 // ---------------------------
@@ -1227,7 +3899,7 @@ app.get("/pto/requests", async (req, res) => {
 
   let query = supabase
     .from("pto_requests")
-    .select("id, start_date, end_date, days_count, status, category, type, created_at, user_id")
+    .select("id, start_date, end_date, days_count, day_part, hours, status, category, type, created_at, user_id")
     .order("created_at", { ascending: false });
 
   if (slack_id) {
@@ -1261,6 +3933,91 @@ app.get("/pto/types", async (req, res) => {
   res.json({ data });
 });
 
+// ---------------------------
+// API: supporting documents (owner, approver or admin)
+// Downloads are opened from a browser, so they never trust a slack_id in the URL: the Review
+// modal hands out links signed for the viewer (HMAC over document id, viewer and expiry).
+// ---------------------------
+const DOCUMENT_LINK_SECRET = process.env.DOCUMENT_LINK_SECRET || process.env.SLACK_SIGNING_SECRET;
+const DOCUMENT_LINK_TTL_MINUTES = Number(process.env.DOCUMENT_LINK_TTL_MINUTES || 15);
+
+function documentLinkSignature(documentId, viewerId, expires) {
+  return createHmac("sha256", DOCUMENT_LINK_SECRET).update(`${documentId}:${viewerId}:${expires}`).digest("hex");
+}
+
+// Download URL for one viewer (users.id), valid DOCUMENT_LINK_TTL_MINUTES
+function signedDocumentUrl(documentId, viewerId) {
+  const expires = Math.floor(Date.now() / 1000) + DOCUMENT_LINK_TTL_MINUTES * 60;
+  const sig = documentLinkSignature(documentId, viewerId, expires);
+  return `${BASE_URL}/pto/documents/${documentId}/download?viewer=${viewerId}&expires=${expires}&sig=${sig}`;
+}
+
+// { ok, viewerId } when the link was signed by us for this document and hasn't expired
+function verifyDocumentLink(documentId, { viewer, expires, sig }) {
+  if (!DOCUMENT_LINK_SECRET || !viewer || !expires || typeof sig !== "string") return { ok: false, error: "Invalid link" };
+  if (Number(expires) < Date.now() / 1000) return { ok: false, error: "This link has expired, open the request again" };
+
+  const expected = Buffer.from(documentLinkSignature(documentId, viewer, expires), "hex");
+  const given = Buffer.from(sig, "hex");
+  if (given.length !== expected.length || !timingSafeEqual(given, expected)) return { ok: false, error: "Invalid link" };
+  return { ok: true, viewerId: Number(viewer) };
+}
+
+// viewer: users row (id, is_admin)
+async function canSeeDocuments(viewer, requestId) {
+  if (!viewer) return { ok: false, error: "User not found" };
+
+  const { data: request } = await supabase
+    .from("pto_requests")
+    .select("user_id, approver_id")
+    .eq("id", requestId)
+    .maybeSingle();
+
+  if (!request) return { ok: false, error: "Request not found" };
+  if (viewer.is_admin || request.user_id === viewer.id || request.approver_id === viewer.id) return { ok: true };
+  return { ok: false, error: "Not authorized" };
+}
+
+app.get("/pto/requests/:id/documents", async (req, res) => {
+  const { user: viewer } = await getUserBySlackId(req.query.slack_id);
+  const perm = await canSeeDocuments(viewer, req.params.id);
+  if (!perm.ok) return res.status(403).json({ error: perm.error });
+
+  const { data, error } = await supabase
+    .from("pto_request_documents")
+    .select("id, file_name, mime_type, size_bytes, uploaded_by, created_at")
+    .eq("request_id", req.params.id)
+    .order("created_at", { ascending: true });
+
+  if (error) return res.status(400).json({ error });
+  res.json({ data });
+});
+
+app.get("/pto/documents/:id/download", async (req, res) => {
+  const link = verifyDocumentLink(req.params.id, req.query);
+  if (!link.ok) return res.status(403).json({ error: link.error });
+
+  const { data: document, error } = await supabase
+    .from("pto_request_documents")
+    .select("*")
+    .eq("id", req.params.id)
+    .maybeSingle();
+
+  if (error || !document) return res.status(404).json({ error: "Document not found" });
+
+  // the viewer may have lost access since the link was made
+  const { data: viewer } = await supabase.from("users").select("id, is_admin").eq("id", link.viewerId).maybeSingle();
+  const perm = await canSeeDocuments(viewer, document.request_id);
+  if (!perm.ok) return res.status(403).json({ error: perm.error });
+
+  const { buffer, error: readError } = await readStoredFile(document.storage_key);
+  if (readError) return res.status(500).json({ error: "Could not read the stored file" });
+
+  res.setHeader("Content-Type", document.mime_type || "application/octet-stream");
+  res.setHeader("Content-Disposition", `attachment; filename="${document.file_name.replace(/"/g, "")}"`);
+  res.send(buffer);
+});
+
 // ---------------------------
 // Admin endpoints
 // ---------------------------
@@ -1270,6 +4027,16 @@ app.post("/admin/pto/cancel", async (req, res) => {
   const auth = await requireAdmin(admin_slack_id);
   if (!auth.ok) return res.status(403).json({ error: auth.error });
 
+  const { data: existing } = await supabase
+    .from("pto_requests")
+    .select("kind, status")
+    .eq("id", request_id)
+    .maybeSingle();
+
+  if (existing?.kind === "earn" && existing.status === "approved") {
+    return res.status(400).json({ error: "Approved worked days were already credited; use a balance adjustment to reverse them" });
+  }
+
   const { data, error } = await supabase
     .from("pto_requests")
     .update({
@@ -1278,41 +4045,120 @@ app.post("/admin/pto/cancel", async (req, res) => {
       decided_by: auth.userId,
     })
     .eq("id", request_id)
+    .in("status", ["pending", "approved"])
     .select()
-    .single();
+    .maybeSingle();
 
   if (error) return res.status(400).json({ error });
+  if (!data) return res.status(409).json({ error: "Only pending or approved requests can be cancelled" });
+
+  await supabase.from("pto_request_changes").update({ status: "cancelled" }).eq("request_id", request_id).eq("status", "pending");
+  await resolveApprovalMessages(data, "cancelled", { deciderId: auth.userId });
+  await dispatchRequestEvent(slack.client, "cancelled", data, { actorSlackId: admin_slack_id });
   res.json({ cancelled: data });
 });
 
-app.post("/admin/pto/type/update", async (req, res) => {
-  const { admin_slack_id, category, name, patch } = req.body;
+// Manual balance adjustment: days > 0 credits, days < 0 debits
+app.post("/admin/pto/adjustments", async (req, res) => {
+  const { admin_slack_id, slack_id, category, type, days, reason, effective_date } = req.body;
 
   const auth = await requireAdmin(admin_slack_id);
   if (!auth.ok) return res.status(403).json({ error: auth.error });
 
-  const { data, error } = await supabase
-    .from("pto_types")
-    .update(patch)
-    .eq("category", category)
-    .eq("name", name)
-    .select()
-    .single();
+  if (!slack_id || !category || !type || !reason) {
+    return res.status(400).json({ error: "slack_id, category, type and reason are required" });
+  }
 
-  if (error) return res.status(400).json({ error });
-  res.json({ updated: data });
-});
+  const amount = Number(days);
+  if (!amount || isNaN(amount)) return res.status(400).json({ error: "days must be a non-zero number" });
 
-app.get("/admin/reports/pto", async (req, res) => {
-  const { admin_slack_id } = req.query;
+  if (effective_date && !isValidDateStr(effective_date)) {
+    return res.status(400).json({ error: "effective_date must be YYYY-MM-DD" });
+  }
 
-  const auth = await requireAdmin(admin_slack_id);
-  if (!auth.ok) return res.status(403).json({ error: auth.error });
+  const { user: employee, error: userError } = await getUserBySlackId(slack_id);
+  if (userError || !employee) return res.status(400).json({ error: "User not found" });
 
-  const { data, error } = await supabase
+  const { ptoType } = await getPtoType(category, type);
+  if (!ptoType) return res.status(400).json({ error: "Unknown PTO type" });
+
+  const { adjustment, error } = await createAdjustment({
+    userId: employee.id,
+    category,
+    type,
+    days: amount,
+    reason,
+    createdBy: auth.userId,
+    effectiveDate: effective_date || todayStr(),
+  });
+
+  if (error) return res.status(400).json({ error });
+
+  await notifyAdjustment(slack.client, adjustment);
+  res.json({ adjustment });
+});
+
+app.get("/pto/adjustments", async (req, res) => {
+  const { slack_id } = req.query;
+
+  const { user, error: userError } = await getUserBySlackId(slack_id);
+  if (userError || !user) return res.status(400).json({ error: "User not found" });
+
+  const { data, error } = await supabase
+    .from("pto_balance_adjustments")
+    .select("id, category, type, days, reason, effective_date, expires_on, source_request_id, created_by, created_at")
+    .eq("user_id", user.id)
+    .order("created_at", { ascending: false });
+
+  if (error) return res.status(400).json({ error });
+  res.json({ data });
+});
+
+app.post("/admin/pto/type/update", async (req, res) => {
+  const { admin_slack_id, category, name, patch } = req.body;
+
+  const auth = await requireAdmin(admin_slack_id);
+  if (!auth.ok) return res.status(403).json({ error: auth.error });
+
+  const { data, error } = await supabase
+    .from("pto_types")
+    .update(patch)
+    .eq("category", category)
+    .eq("name", name)
+    .select()
+    .single();
+
+  if (error) return res.status(400).json({ error });
+  res.json({ updated: data });
+});
+
+// CSV body: "country,region,date,name" per line, e.g. "ES,MD,2026-05-02,Fiesta de la Comunidad de Madrid"
+app.post("/admin/holidays/upload", async (req, res) => {
+  const { admin_slack_id, csv } = req.body;
+
+  const auth = await requireAdmin(admin_slack_id);
+  if (!auth.ok) return res.status(403).json({ error: auth.error });
+
+  const { rows, errors } = parseHolidaysCsv(csv);
+  if (errors.length > 0) return res.status(400).json({ error: "Invalid holidays CSV", details: errors });
+  if (rows.length === 0) return res.status(400).json({ error: "CSV has no holidays" });
+
+  const { saved, error } = await saveHolidays(rows);
+  if (error) return res.status(400).json({ error });
+
+  res.json({ ok: true, imported: saved.length });
+});
+
+app.get("/admin/reports/pto", async (req, res) => {
+  const { admin_slack_id } = req.query;
+
+  const auth = await requireAdmin(admin_slack_id);
+  if (!auth.ok) return res.status(403).json({ error: auth.error });
+
+  const { data, error } = await supabase
     .from("pto_requests")
     .select(
-      "id, start_date, end_date, days_count, status, category, type, created_at, decided_at, approver_id, decided_by, reason, user_id"
+      "id, start_date, end_date, days_count, day_part, hours, status, category, type, created_at, decided_at, approver_id, decided_by, reason, user_id"
     )
     .order("created_at", { ascending: false });
 
@@ -1372,7 +4218,7 @@ app.get("/admin/sync-users", async (req, res) => {
       manager_id: null,
       is_admin: false,
       is_student: false,
-      country: null,
+      country: countryFromTimezone(u.tz),
     }));
 
     const { data: created, error: insertError } = await supabase
@@ -1385,6 +4231,7 @@ app.get("/admin/sync-users", async (req, res) => {
     }
 
     console.log(`✅ Synced ${created.length} new users from Slack`);
+    await promptAdminsForStartDates(slack.client, created);
 
     res.json({
       ok: true,
@@ -1458,51 +4305,27 @@ async function publishHome(client, slack_id) {
           style: "primary",
           action_id: "home_create_ooo",
         },
+        {
+          type: "button",
+          text: { type: "plain_text", text: "🛠️ Log worked days" },
+          action_id: "home_log_worked_days",
+        },
       ],
     });
 
     blocks.push({ type: "divider" });
 
     // 2) Balance (mini)
-    const { data: types } = await supabase
-      .from("pto_types")
-      .select("*")
-      .order("category", { ascending: true })
-      .order("name", { ascending: true });
-
-    const { data: approved } = await supabase
-      .from("pto_requests")
-      .select("days_count, category, type")
-      .eq("user_id", user.id)
-      .eq("status", "approved");
-
-    const usedBy = {};
-    for (const r of approved || []) {
-      const key = `${r.category}::${r.type}`;
-      usedBy[key] = (usedBy[key] || 0) + (r.days_count || 0);
-    }
-
-    const balanceLines = [];
-    for (const t of types || []) {
-      if (t.eligibility_rule === "STUDENTS_ONLY" && !user.is_student) continue;
-
-      const key = `${t.category}::${t.name}`;
-      const used = usedBy[key] || 0;
-
-      if (t.is_unlimited) {
-        balanceLines.push(`• *${t.name}*: ∞ (usado: ${used})`);
-      } else {
-        const allowance = t.annual_allowance_days ?? 0;
-        const remaining = t.counts_against_balance ? Math.max(allowance - used, 0) : allowance;
-        balanceLines.push(`• *${t.name}*: ${remaining}/${allowance}`);
-      }
-    }
+    const { period, balances } = await getBalances(user);
+    const balanceLines = (balances || []).map((b) => balanceLine(b));
 
     blocks.push({
       type: "section",
       text: {
         type: "mrkdwn",
-        text: `*👤 ${user.name}*\n\n*Balance*\n${balanceLines.join("\n")}`,
+        text:
+          `*👤 ${user.name}*\n\n*Balance* _(${period.label}: ${period.start} → ${period.end})_\n` +
+          balanceLines.join("\n"),
       },
     });
 
@@ -1511,7 +4334,7 @@ async function publishHome(client, slack_id) {
     // 3) Tus requests recientes (pending/approved/denied/cancelled)
     const { data: myReqs } = await supabase
       .from("pto_requests")
-      .select("id, start_date, end_date, status, category, type, days_count, created_at")
+      .select("id, start_date, end_date, day_part, hours, status, category, type, days_count, kind, document_status, document_due_on, current_step, decision_comment, created_at")
       .eq("user_id", user.id)
       .order("created_at", { ascending: false })
       .limit(5);
@@ -1521,6 +4344,16 @@ async function publishHome(client, slack_id) {
       text: { type: "plain_text", text: "📅 Your requests (last 5)" },
     });
 
+    const myReqSteps = await loadApprovalSteps((myReqs || []).filter((r) => r.status === "pending").map((r) => r.id));
+
+    // cambios a solicitudes aprobadas que esperan al approver
+    const { data: myChanges } = await supabase
+      .from("pto_request_changes")
+      .select("request_id, action, previous, proposed")
+      .in("request_id", (myReqs || []).map((r) => r.id))
+      .eq("status", "pending");
+    const pendingChange = Object.fromEntries((myChanges || []).map((c) => [c.request_id, c]));
+
     if (!myReqs || myReqs.length === 0) {
       blocks.push({
         type: "section",
@@ -1529,8 +4362,19 @@ async function publishHome(client, slack_id) {
     } else {
       console.log("🔍 DEBUG: Processing", myReqs.length, "requests");
       for (const r of myReqs) {
-        // Only show cancel button for pending or approved requests
-        const canCancel = r.status === "pending" || r.status === "approved";
+        // Cancel: pending requests, or approved ones that haven't started (the approver confirms).
+        // Leave in progress can only end early.
+        const today = todayStr();
+        const canCancel =
+          !pendingChange[r.id] &&
+          (r.status === "pending" || (r.status === "approved" && r.kind !== "earn" && r.start_date > today));
+        const earliestEnd = r.start_date > addDays(today, -1) ? r.start_date : addDays(today, -1);
+        const canEndEarly =
+          r.status === "approved" &&
+          r.kind === "leave" &&
+          r.day_part === "full" &&
+          r.start_date <= today &&
+          earliestEnd < r.end_date;
         console.log(`🔍 Request ${r.id}: status="${r.status}", canCancel=${canCancel}`);
         
         const sectionBlock = {
@@ -1538,8 +4382,22 @@ async function publishHome(client, slack_id) {
           text: {
             type: "mrkdwn",
             text:
-              `${statusEmoji(r.status)} *${r.type}* (${r.start_date} → ${r.end_date})  —  *${r.days_count}* días\n` +
-              `Status: \`${r.status}\``,
+              (r.kind === "earn"
+                ? `${statusEmoji(r.status)} 🛠️ *Worked* (${formatRequestDates(r)})  —  *+${r.days_count}* días de ${r.type}\n`
+                : `${statusEmoji(r.status)} *${r.type}* (${formatRequestDates(r)})  —  *${r.days_count}* días\n`) +
+              `Status: \`${r.status}\`` +
+              (r.status === "pending" && approvalStepLabel(r, myReqSteps[r.id])
+                ? `  —  waiting on ${approvalStepLabel(r, myReqSteps[r.id])}`
+                : "") +
+              (r.document_status === "missing" && r.status !== "denied" && r.status !== "cancelled"
+                ? `\n📎 Falta el documento (vence ${r.document_due_on}) — envíalo por DM a la app con \`#${r.id}\``
+                : "") +
+              (r.decision_comment ? `\n💬 _${r.decision_comment}_` : "") +
+              (pendingChange[r.id]
+                ? pendingChange[r.id].action === "cancel"
+                  ? "\n🚫 Cancelación pendiente de confirmación del approver"
+                  : `\n✏️ Cambio pendiente de aprobación: ${changeSummary(pendingChange[r.id])}`
+                : ""),
           },
         };
 
@@ -1556,20 +4414,66 @@ async function publishHome(client, slack_id) {
               title: { type: "plain_text", text: "Cancel PTO request" },
               text: {
                 type: "mrkdwn",
-                text: `Are you sure you want to cancel this *${r.type}* request?\n*Dates:* ${r.start_date} → ${r.end_date}\n*Days:* ${r.days_count}`,
+                text:
+                  `Are you sure you want to cancel this *${r.type}* request?\n*Dates:* ${formatRequestDates(r)}\n*Days:* ${r.days_count}` +
+                  (r.status === "approved" ? "\nIt's already approved, so your approver has to confirm the cancellation." : ""),
               },
               confirm: { type: "plain_text", text: "Yes, cancel" },
               deny: { type: "plain_text", text: "No, keep it" },
             },
           };
+        } else if (canEndEarly) {
+          sectionBlock.accessory = {
+            type: "button",
+            text: { type: "plain_text", text: "End early ↩️" },
+            action_id: "home_end_early",
+            value: String(r.id),
+          };
         } else {
           console.log(`🔍 ❌ NOT adding cancel button (status: ${r.status})`);
         }
 
         blocks.push(sectionBlock);
+
+        // Edit: pending requests, or approved ones that haven't started (as a change request)
+        const canEdit =
+          r.kind === "leave" &&
+          !pendingChange[r.id] &&
+          (r.status === "pending" || (r.status === "approved" && r.start_date > today));
+        if (canEdit) {
+          blocks.push({
+            type: "actions",
+            elements: [
+              {
+                type: "button",
+                text: { type: "plain_text", text: "Edit ✏️" },
+                action_id: "home_edit_request",
+                value: String(r.id),
+              },
+            ],
+          });
+        }
       }
     }
 
+    // Ajustes de balance (si hay)
+    const { data: myAdjustments } = await supabase
+      .from("pto_balance_adjustments")
+      .select("id, type, days, reason, effective_date, expires_on")
+      .eq("user_id", user.id)
+      .order("created_at", { ascending: false })
+      .limit(5);
+
+    if ((myAdjustments || []).length > 0) {
+      blocks.push({
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*🧾 Balance adjustments*\n${myAdjustments.map((a) => `• ${formatAdjustment(a)}`).join("\n")}`,
+        },
+      });
+    }
+
     blocks.push({ type: "divider" });
 
     // 4) Pending approvals (si sos manager o admin)
@@ -1577,16 +4481,18 @@ async function publishHome(client, slack_id) {
     // manager: requests donde approver_id = user.id
     let pendingQuery = supabase
       .from("pto_requests")
-      .select("id, start_date, end_date, status, type, days_count, user_id, created_at")
+      .select("id, start_date, end_date, day_part, hours, status, type, days_count, kind, current_step, user_id, created_at")
       .eq("status", "pending")
+      .neq("user_id", user.id) // their own requests are never theirs to approve
       .order("created_at", { ascending: false });
 
     if (user.is_admin) {
       // Admin sees ALL pending requests
       pendingQuery = pendingQuery.limit(10);
     } else {
-      // Manager only sees their direct reports
-      pendingQuery = pendingQuery.eq("approver_id", user.id).limit(5);
+      // Manager sees their direct reports, plus approvals delegated to them
+      const delegators = await delegatorsOf(user.id);
+      pendingQuery = pendingQuery.in("approver_id", [user.id, ...delegators]).limit(5);
     }
 
     const { data: pendingToApprove } = await pendingQuery;
@@ -1613,6 +4519,8 @@ async function publishHome(client, slack_id) {
         const mapUser = {};
         for (const u of requesterUsers || []) mapUser[u.id] = u;
 
+        const pendingSteps = await loadApprovalSteps(pendingToApprove.map((p) => p.id));
+
         for (const p of pendingToApprove) {
           const ru = mapUser[p.user_id];
           const who = ru?.slack_id ? `<@${ru.slack_id}>` : (ru?.name || "Unknown");
@@ -1622,8 +4530,11 @@ async function publishHome(client, slack_id) {
             text: {
               type: "mrkdwn",
               text:
-                `⏳ *${p.type}* (${p.start_date} → ${p.end_date}) — *${p.days_count}* días\n` +
-                `Requester: ${who}`,
+                (p.kind === "earn"
+                  ? `⏳ 🛠️ *Worked* (${formatRequestDates(p)}) — *+${p.days_count}* días de ${p.type}\n`
+                  : `⏳ *${p.type}* (${formatRequestDates(p)}) — *${p.days_count}* días\n`) +
+                `Requester: ${who}` +
+                (approvalStepLabel(p, pendingSteps[p.id]) ? `  —  ${approvalStepLabel(p, pendingSteps[p.id])}` : ""),
             },
             accessory: {
               type: "button",
@@ -1638,6 +4549,45 @@ async function publishHome(client, slack_id) {
       blocks.push({ type: "divider" });
     }
 
+    // 4b) Documentos faltantes (solo admin)
+    if (user.is_admin) {
+      const { data: missingDocs } = await supabase
+        .from("pto_requests")
+        .select("id, start_date, end_date, day_part, hours, type, document_due_on, user_id")
+        .eq("document_status", "missing")
+        .in("status", ["pending", "approved"])
+        .order("document_due_on", { ascending: true })
+        .limit(10);
+
+      if ((missingDocs || []).length > 0) {
+        const { data: docUsers } = await supabase
+          .from("users")
+          .select("id, name, slack_id")
+          .in("id", [...new Set(missingDocs.map((d) => d.user_id))]);
+
+        const docUserMap = {};
+        for (const u of docUsers || []) docUserMap[u.id] = u;
+
+        const today = todayStr();
+        const lines = missingDocs.map((d) => {
+          const du = docUserMap[d.user_id];
+          const who = du?.slack_id ? `<@${du.slack_id}>` : du?.name || "Unknown";
+          const due = d.document_due_on < today ? `⏰ *overdue* since ${d.document_due_on}` : `due ${d.document_due_on}`;
+          return `• ${who} — *${d.type}* (${formatRequestDates(d)}) — ${due}`;
+        });
+
+        blocks.push({
+          type: "header",
+          text: { type: "plain_text", text: "📎 Missing documents" },
+        });
+        blocks.push({
+          type: "section",
+          text: { type: "mrkdwn", text: lines.join("\n") },
+        });
+        blocks.push({ type: "divider" });
+      }
+    }
+
     // 5) Admin tools (solo admin)
     if (user.is_admin) {
       blocks.push({
@@ -1658,6 +4608,21 @@ async function publishHome(client, slack_id) {
             text: { type: "plain_text", text: "📥 Add historical PTO" },
             action_id: "admin_add_historical_pto",
           },
+          {
+            type: "button",
+            text: { type: "plain_text", text: "🧾 Adjust balance" },
+            action_id: "admin_adjust_balance",
+          },
+          {
+            type: "button",
+            text: { type: "plain_text", text: "✏️ Edit allowances" },
+            action_id: "admin_edit_allowances",
+          },
+          {
+            type: "button",
+            text: { type: "plain_text", text: "📅 Upload holidays" },
+            action_id: "admin_upload_holidays",
+          },
           {
             type: "button",
             text: { type: "plain_text", text: "📊 Download reports (coming soon)" },
@@ -1684,6 +4649,57 @@ slack.event("app_home_opened", async ({ event, client }) => {
   await publishHome(client, event.user);
 });
 
+// Documentos enviados por DM a la app (event: message.im). `#123` en el texto elige la
+// solicitud; si no, va a la que vence primero entre las que esperan documento.
+slack.event("message", async ({ event, client }) => {
+  if (event.channel_type !== "im" || event.subtype !== "file_share" || !event.files?.length) return;
+
+  const reply = (text) => client.chat.postMessage({ channel: event.channel, text });
+
+  const { data: user } = await supabase
+    .from("users")
+    .select("id, slack_id")
+    .eq("slack_id", event.user)
+    .maybeSingle();
+
+  if (!user) return reply("No estás registrado en PTO tool todavía. Usa `/pto` primero.");
+
+  const requestIdMatch = (event.text || "").match(/#(\d+)/);
+  let query = supabase
+    .from("pto_requests")
+    .select("id, type, start_date, end_date, day_part, hours, document_status, document_due_on")
+    .eq("user_id", user.id)
+    .in("status", ["pending", "approved"]);
+
+  query = requestIdMatch
+    ? query.eq("id", Number(requestIdMatch[1]))
+    : query.eq("document_status", "missing").order("document_due_on", { ascending: true }).limit(1);
+
+  const { data: requests, error } = await query;
+  if (error) return reply("Error buscando tu solicitud. Intenta de nuevo.");
+
+  const request = requests?.[0];
+  if (!request) {
+    return reply(
+      requestIdMatch
+        ? `No encontré la solicitud #${requestIdMatch[1]} entre tus solicitudes pendientes o aprobadas.`
+        : "No tenés solicitudes esperando un documento. Si es para otra, escribe `#id` junto al archivo."
+    );
+  }
+
+  const saved = [];
+  for (const file of event.files) {
+    const { document, error: docError } = await attachSlackFile(request.id, user.id, file);
+    if (docError) console.error("Error attaching shared file:", docError);
+    else saved.push(document.file_name);
+  }
+
+  if (saved.length === 0) return reply("❌ No pude guardar el archivo. Intenta de nuevo o contacta a un admin.");
+
+  await reply(`📎 Guardado para *${request.type}* (${formatRequestDates(request)}): ${saved.join(", ")}`);
+  await publishHome(client, event.user);
+});
+
 
 //"CREATE OOO" abre el mismo modal que /pto request
 slack.action("home_create_ooo", async ({ ack, body, client }) => {
@@ -1701,20 +4717,8 @@ slack.action("home_create_ooo", async ({ ack, body, client }) => {
   if (userError || !user) return;
 
   // types
-  const { data: types } = await supabase
-    .from("pto_types")
-    .select("*")
-    .order("category", { ascending: true })
-    .order("name", { ascending: true });
-
-  const allowedTypes = (types || []).filter(
-    (t) => !(t.eligibility_rule === "STUDENTS_ONLY" && !user.is_student)
-  );
-
-  const options = allowedTypes.map((t) => ({
-    text: { type: "plain_text", text: `${t.name} (${t.category})` },
-    value: `${t.category}||${t.name}`,
-  }));
+  const { eligible } = await getEligibleTypes(user);
+  const options = typeOptions(eligible);
 
   await client.views.open({
     trigger_id: body.trigger_id,
@@ -1724,118 +4728,750 @@ slack.action("home_create_ooo", async ({ ack, body, client }) => {
       title: { type: "plain_text", text: "Request PTO" },
       submit: { type: "plain_text", text: "Send" },
       close: { type: "plain_text", text: "Cancel" },
+      blocks: requestModalBlocks(options),
+    },
+  });
+});
+
+// Edit: the request modal pre-filled with the request; submitting goes to POST /pto/edit
+slack.action("home_edit_request", async ({ ack, body, client }) => {
+  await ack();
+
+  const slack_id = body.user.id;
+  const request_id = body.actions[0].value;
+
+  const { user } = await getUserBySlackId(slack_id);
+  if (!user) return;
+
+  const { data: request } = await supabase
+    .from("pto_requests")
+    .select("id, user_id, category, type, start_date, end_date, day_part, hours, reason")
+    .eq("id", request_id)
+    .single();
+
+  if (!request || request.user_id !== user.id) return;
+
+  // the request's own type stays selectable even if it's "once" and already used (by itself)
+  const { eligible } = await getEligibleTypes(user);
+  const options = typeOptions(eligible);
+  if (!options.some((o) => o.value === `${request.category}||${request.type}`)) {
+    options.unshift(...typeOptions([{ category: request.category, name: request.type }]));
+  }
+
+  await client.views.open({
+    trigger_id: body.trigger_id,
+    view: {
+      type: "modal",
+      callback_id: "pto_request_submit",
+      private_metadata: JSON.stringify({ request_id: request.id }),
+      title: { type: "plain_text", text: "Edit PTO" },
+      submit: { type: "plain_text", text: "Save" },
+      close: { type: "plain_text", text: "Cancel" },
+      blocks: requestModalBlocks(options, request),
+    },
+  });
+});
+
+slack.action("home_log_worked_days", async ({ ack, body, client }) => {
+  await ack();
+  await client.views.open({ trigger_id: body.trigger_id, view: earnModalView() });
+});
+
+// review en approvals, abre un modal de reviews simple 
+slack.action("home_review_request", async ({ ack, body, client }) => {
+  await ack();
+
+  const request_id = body.actions[0].value;
+
+  const { data: req } = await supabase
+    .from("pto_requests")
+    .select("id, start_date, end_date, day_part, hours, status, type, category, days_count, reason, kind, policy_warnings, document_status, document_due_on, current_step, decision_comment, user_id")
+    .eq("id", request_id)
+    .single();
+
+  if (!req) return;
+
+  const { data: ru } = await supabase
+    .from("users")
+    .select("id, name, slack_id, manager_id, country, region")
+    .eq("id", req.user_id)
+    .single();
+
+  const who = ru?.slack_id ? `<@${ru.slack_id}>` : (ru?.name || "Unknown");
+
+  // compañeros fuera en las mismas fechas
+  let teamText = "";
+  if (ru && req.kind !== "earn") {
+    const holidays = await getHolidays(ru, req.start_date, req.end_date);
+    const coverage = await getTeamCoverage(ru, req, holidays);
+    if (!coverage.error) teamText = "\n*Team:*\n" + coverageLines(coverage).map((l) => `• ${l}`).join("\n");
+  }
+
+  // pasos de la cadena de aprobación
+  const { [req.id]: reqSteps = [] } = await loadApprovalSteps([req.id]);
+  const stepIcons = { approved: "✅", denied: "❌", pending: "⏳", waiting: "▫️", skipped: "▫️" };
+  const chainText =
+    reqSteps.length > 1
+      ? `*Approval:* ${reqSteps.map((st) => `${stepIcons[st.status] || ""} ${APPROVAL_ROLES[st.role] || st.role}`).join(" → ")}\n`
+      : "";
+
+  // historial de ediciones (y el cambio pendiente, si lo hay)
+  const { data: reqChanges } = await supabase
+    .from("pto_request_changes")
+    .select("action, previous, proposed, status, created_at")
+    .eq("request_id", req.id)
+    .order("created_at", { ascending: true });
+  const changeLabels = { applied: "edited", pending: "change pending", approved: "change approved", denied: "change denied", cancelled: "change dropped" };
+  const changesText = (reqChanges || [])
+    .map((c) => {
+      const date = c.created_at.split("T")[0];
+      if (c.action === "cancel") return `🚫 ${date} cancellation ${c.status === "pending" ? "requested" : c.status}\n`;
+      const label = c.action === "end_early" ? "ended early" : changeLabels[c.status];
+      return `✏️ ${date} ${label}: ${changeSummary(c)}\n`;
+    })
+    .join("");
+
+  // documentos adjuntos (link firmado y con vencimiento, solo para quien revisa)
+  let docsText = "";
+  if (req.document_status) {
+    const { user: viewer } = await getUserBySlackId(body.user.id);
+    const perm = await canSeeDocuments(viewer, req.id);
+    const { data: docs } = perm.ok
+      ? await supabase.from("pto_request_documents").select("id, file_name").eq("request_id", req.id)
+      : { data: [] };
+
+    docsText = (docs || [])
+      .map((d) => `📄 <${signedDocumentUrl(d.id, viewer.id)}|${d.file_name}>\n`)
+      .join("");
+  }
+
+  await client.views.open({
+    trigger_id: body.trigger_id,
+    view: {
+      type: "modal",
+      title: { type: "plain_text", text: "Review PTO" },
+      close: { type: "plain_text", text: "Close" },
       blocks: [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text:
+              `*Requester:* ${who}\n` +
+              `*Type:* ${req.type}${req.kind === "earn" ? " (worked days to credit)" : ""}\n` +
+              `*Dates:* ${formatRequestDates(req)}\n` +
+              `*Days:* ${req.days_count}\n` +
+              `*Status:* ${req.status}\n` +
+              (req.reason ? `*Reason:* ${req.reason}\n` : "") +
+              (req.decision_comment ? `*Decision comment:* ${req.decision_comment}\n` : "") +
+              (req.policy_warnings || []).map((w) => `⚠️ *Policy:* ${w}\n`).join("") +
+              chainText +
+              changesText +
+              (documentLine(req) ? `${documentLine(req)}\n` : "") +
+              docsText +
+              teamText,
+          },
+        },
+        {
+          type: "actions",
+          elements: [
+            {
+              type: "button",
+              text: { type: "plain_text", text: "Approve ✅" },
+              style: "primary",
+              action_id: "pto_approve_btn",
+              value: req.id,
+            },
+            {
+              type: "button",
+              text: { type: "plain_text", text: "Deny ❌" },
+              style: "danger",
+              action_id: "pto_deny_btn",
+              value: req.id,
+            },
+          ],
+        },
+      ],
+    },
+  });
+});
+
+// ---------------------------
+// Admin: Manage Teams modal
+// ---------------------------
+slack.action("admin_manage_users", async ({ ack, body, client }) => {
+  await ack();
+
+  const slack_id = body.user.id;
+
+  // Run both queries in parallel for speed (Slack has 3s timeout for trigger_id)
+  const [adminResult, usersResult] = await Promise.all([
+    supabase
+      .from("users")
+      .select("id, is_admin")
+      .eq("slack_id", slack_id)
+      .single(),
+    supabase
+      .from("users")
+      .select("id, name, slack_id, manager_id")
+      .eq("is_system", false)
+      .order("name", { ascending: true }),
+  ]);
+
+  const { data: admin, error: adminError } = adminResult;
+  const { data: allUsers, error: usersError } = usersResult;
+
+  if (adminError || !admin?.is_admin) {
+    return;
+  }
+
+  if (usersError || !allUsers || allUsers.length === 0) {
+    return;
+  }
+
+  // Build options for manager dropdown
+  const managerOptions = allUsers.map((u) => ({
+    text: { type: "plain_text", text: u.name || `User ${u.slack_id}` },
+    value: String(u.id),
+  }));
+
+  // Build options for multi-select (users to assign)
+  const userOptions = allUsers.map((u) => {
+    const currentManager = allUsers.find((m) => m.id === u.manager_id);
+    const managerText = currentManager ? ` (→ ${currentManager.name})` : " (no manager)";
+    return {
+      text: { type: "plain_text", text: `${u.name || u.slack_id}${managerText}` },
+      value: String(u.id),
+    };
+  });
+
+  await client.views.open({
+    trigger_id: body.trigger_id,
+    view: {
+      type: "modal",
+      callback_id: "admin_assign_team_submit",
+      title: { type: "plain_text", text: "Manage Teams" },
+      submit: { type: "plain_text", text: "Assign" },
+      close: { type: "plain_text", text: "Cancel" },
+      blocks: [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: "Select a manager and choose which users should report to them.",
+          },
+        },
+        {
+          type: "input",
+          block_id: "manager_block",
+          label: { type: "plain_text", text: "Manager" },
+          element: {
+            type: "static_select",
+            action_id: "manager_select",
+            placeholder: { type: "plain_text", text: "Select manager" },
+            options: managerOptions,
+          },
+        },
+        {
+          type: "input",
+          block_id: "users_block",
+          label: { type: "plain_text", text: "Assign these users to the manager" },
+          element: {
+            type: "multi_static_select",
+            action_id: "users_select",
+            placeholder: { type: "plain_text", text: "Select users" },
+            options: userOptions,
+          },
+        },
+      ],
+    },
+  });
+});
+
+// Handle assign team submit
+slack.view("admin_assign_team_submit", async ({ ack, body, view, client }) => {
+  await ack();
+
+  const slack_id = body.user.id;
+
+  // Verify admin
+  const { data: admin, error: adminError } = await supabase
+    .from("users")
+    .select("id, is_admin")
+    .eq("slack_id", slack_id)
+    .single();
+
+  if (adminError || !admin?.is_admin) {
+    return;
+  }
+
+  // Get selected values
+  const managerId = view.state.values.manager_block.manager_select.selected_option.value;
+  const selectedUsers = view.state.values.users_block.users_select.selected_options || [];
+  const userIds = selectedUsers.map((o) => o.value);
+
+  if (userIds.length === 0) {
+    return;
+  }
+
+  // Update all selected users to have this manager
+  const { error: updateError } = await supabase
+    .from("users")
+    .update({ manager_id: parseInt(managerId, 10) })
+    .in("id", userIds.map((id) => parseInt(id, 10)));
+
+  if (updateError) {
+    console.error("Error updating manager assignments:", updateError);
+    return;
+  }
+
+  // Get manager name for confirmation
+  const { data: manager } = await supabase
+    .from("users")
+    .select("name, slack_id")
+    .eq("id", managerId)
+    .single();
+
+  const managerMention = manager?.slack_id ? `<@${manager.slack_id}>` : manager?.name || "Unknown";
+
+  // Send confirmation DM
+  const dm = await client.conversations.open({ users: slack_id });
+  await client.chat.postMessage({
+    channel: dm.channel.id,
+    text: `✅ Updated ${userIds.length} user(s) to report to ${managerMention}`,
+  });
+
+  // Refresh home
+  await publishHome(client, slack_id);
+});
+
+// ---------------------------
+// Admin: Add Historical PTO modal
+// ---------------------------
+slack.action("admin_add_historical_pto", async ({ ack, body, client }) => {
+  await ack();
+
+  const slack_id = body.user.id;
+
+  // Run queries in parallel
+  const [adminResult, usersResult, typesResult] = await Promise.all([
+    supabase
+      .from("users")
+      .select("id, is_admin")
+      .eq("slack_id", slack_id)
+      .single(),
+    supabase
+      .from("users")
+      .select("id, name, slack_id")
+      .eq("is_system", false)
+      .order("name", { ascending: true }),
+    supabase
+      .from("pto_types")
+      .select("category, name")
+      .order("category", { ascending: true })
+      .order("name", { ascending: true }),
+  ]);
+
+  const { data: admin, error: adminError } = adminResult;
+  const { data: allUsers, error: usersError } = usersResult;
+  const { data: ptoTypes, error: typesError } = typesResult;
+
+  if (adminError || !admin?.is_admin) {
+    return;
+  }
+
+  if (usersError || !allUsers || allUsers.length === 0) {
+    return;
+  }
+
+  // Build user options
+  const userOptions = allUsers.map((u) => ({
+    text: { type: "plain_text", text: u.name || `User ${u.slack_id}` },
+    value: String(u.id),
+  }));
+
+  // Build PTO type options
+  const typeOptions = (ptoTypes || []).map((t) => ({
+    text: { type: "plain_text", text: `${t.name} (${t.category})` },
+    value: `${t.category}||${t.name}`,
+  }));
+
+  await client.views.open({
+    trigger_id: body.trigger_id,
+    view: {
+      type: "modal",
+      callback_id: "admin_historical_pto_submit",
+      title: { type: "plain_text", text: "Add Historical PTO" },
+      submit: { type: "plain_text", text: "Save" },
+      close: { type: "plain_text", text: "Cancel" },
+      blocks: [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: "📥 *Add a historical PTO record*\n\nThis will be saved as `approved` automatically and will count against the user's balance.",
+          },
+        },
+        {
+          type: "input",
+          block_id: "user_block",
+          label: { type: "plain_text", text: "Employee" },
+          element: {
+            type: "static_select",
+            action_id: "user_select",
+            placeholder: { type: "plain_text", text: "Select employee" },
+            options: userOptions,
+          },
+        },
+        {
+          type: "input",
+          block_id: "type_block",
+          label: { type: "plain_text", text: "PTO Type" },
+          element: {
+            type: "static_select",
+            action_id: "type_select",
+            placeholder: { type: "plain_text", text: "Select type" },
+            options: typeOptions,
+          },
+        },
+        {
+          type: "input",
+          block_id: "start_date_block",
+          label: { type: "plain_text", text: "Start date" },
+          element: { type: "datepicker", action_id: "start_date" },
+        },
+        {
+          type: "input",
+          block_id: "end_date_block",
+          label: { type: "plain_text", text: "End date" },
+          element: { type: "datepicker", action_id: "end_date" },
+        },
+        {
+          type: "input",
+          block_id: "note_block",
+          optional: true,
+          label: { type: "plain_text", text: "Note (optional)" },
+          element: {
+            type: "plain_text_input",
+            action_id: "note",
+            placeholder: { type: "plain_text", text: "e.g., Migrated from old system" },
+          },
+        },
+      ],
+    },
+  });
+});
+
+// Handle historical PTO submit
+slack.view("admin_historical_pto_submit", async ({ ack, body, view, client }) => {
+  const slack_id = body.user.id;
+
+  // Verify admin
+  const { data: admin, error: adminError } = await supabase
+    .from("users")
+    .select("id, is_admin")
+    .eq("slack_id", slack_id)
+    .single();
+
+  if (adminError || !admin?.is_admin) {
+    await ack({ response_action: "errors", errors: { user_block: "Not authorized" } });
+    return;
+  }
+
+  // Get form values
+  const userId = view.state.values.user_block.user_select.selected_option.value;
+  const typeValue = view.state.values.type_block.type_select.selected_option.value;
+  const [category, type] = typeValue.split("||");
+  const start_date = view.state.values.start_date_block.start_date.selected_date;
+  const end_date = view.state.values.end_date_block.end_date.selected_date;
+  const note = view.state.values.note_block?.note?.value || "Historical record";
+
+  // Validate dates
+  if (end_date < start_date) {
+    await ack({
+      response_action: "errors",
+      errors: { end_date_block: "End date must be after start date" },
+    });
+    return;
+  }
+
+  // Calculate business days, excluding the employee's holidays
+  const { data: employee } = await supabase
+    .from("users")
+    .select("country, region")
+    .eq("id", userId)
+    .single();
+
+  const holidays = await getHolidays(employee, start_date, end_date);
+  const days = countBusinessDays(start_date, end_date, holidays);
+  if (!days) {
+    await ack({
+      response_action: "errors",
+      errors: { end_date_block: "Invalid dates" },
+    });
+    return;
+  }
+
+  // Create the PTO request as approved
+  const { data: newPto, error: createError } = await supabase
+    .from("pto_requests")
+    .insert([
+      {
+        user_id: parseInt(userId, 10),
+        start_date,
+        end_date,
+        days_count: days,
+        status: "approved",
+        category,
+        type,
+        reason: note,
+        approver_id: admin.id,
+        decided_by: admin.id,
+        decided_at: new Date().toISOString(),
+      },
+    ])
+    .select()
+    .single();
+
+  if (createError) {
+    console.error("Error creating historical PTO:", createError);
+    await ack({
+      response_action: "errors",
+      errors: { user_block: "Error saving record. Try again." },
+    });
+    return;
+  }
+
+  await ack();
+
+  // Get user name for confirmation
+  const { data: targetUser } = await supabase
+    .from("users")
+    .select("name, slack_id")
+    .eq("id", userId)
+    .single();
+
+  const userMention = targetUser?.slack_id ? `<@${targetUser.slack_id}>` : targetUser?.name || "Unknown";
+
+  // Send confirmation DM to admin
+  const dm = await client.conversations.open({ users: slack_id });
+  await client.chat.postMessage({
+    channel: dm.channel.id,
+    text:
+      `✅ *Historical PTO saved*\n\n` +
+      `• Employee: ${userMention}\n` +
+      `• Type: ${type}\n` +
+      `• Dates: ${start_date} → ${end_date}\n` +
+      `• Days: ${days}\n` +
+      `• Note: ${note}`,
+  });
+
+  // Refresh home
+  await publishHome(client, slack_id);
+});
+
+// ---------------------------
+// Admin: Adjust balance modal (ledger credit/debit)
+// ---------------------------
+slack.action("admin_adjust_balance", async ({ ack, body, client }) => {
+  await ack();
+
+  const slack_id = body.user.id;
+
+  // Run queries in parallel (Slack has 3s timeout for trigger_id)
+  const [adminResult, usersResult, typesResult] = await Promise.all([
+    supabase
+      .from("users")
+      .select("id, is_admin")
+      .eq("slack_id", slack_id)
+      .single(),
+    supabase
+      .from("users")
+      .select("id, name, slack_id")
+      .eq("is_system", false)
+      .order("name", { ascending: true }),
+    supabase
+      .from("pto_types")
+      .select("category, name")
+      .eq("is_unlimited", false)
+      .order("category", { ascending: true })
+      .order("name", { ascending: true }),
+  ]);
+
+  const { data: admin, error: adminError } = adminResult;
+  const { data: allUsers, error: usersError } = usersResult;
+  const { data: ptoTypes } = typesResult;
+
+  if (adminError || !admin?.is_admin) {
+    return;
+  }
+
+  if (usersError || !allUsers || allUsers.length === 0) {
+    return;
+  }
+
+  const userOptions = allUsers.map((u) => ({
+    text: { type: "plain_text", text: u.name || `User ${u.slack_id}` },
+    value: String(u.id),
+  }));
+
+  const typeOptions = (ptoTypes || []).map((t) => ({
+    text: { type: "plain_text", text: `${t.name} (${t.category})` },
+    value: `${t.category}||${t.name}`,
+  }));
+
+  const directionOptions = [
+    { text: { type: "plain_text", text: "➕ Credit (add days)" }, value: "credit" },
+    { text: { type: "plain_text", text: "➖ Debit (remove days)" }, value: "debit" },
+  ];
+
+  await client.views.open({
+    trigger_id: body.trigger_id,
+    view: {
+      type: "modal",
+      callback_id: "admin_adjust_balance_submit",
+      title: { type: "plain_text", text: "Adjust Balance" },
+      submit: { type: "plain_text", text: "Save" },
+      close: { type: "plain_text", text: "Cancel" },
+      blocks: [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: "🧾 *Credit or debit days*\n\nAdjustments are logged with your name and reason, and the employee gets a DM.",
+          },
+        },
+        {
+          type: "input",
+          block_id: "user_block",
+          label: { type: "plain_text", text: "Employee" },
+          element: {
+            type: "static_select",
+            action_id: "user_select",
+            placeholder: { type: "plain_text", text: "Select employee" },
+            options: userOptions,
+          },
+        },
+        {
+          type: "input",
+          block_id: "type_block",
+          label: { type: "plain_text", text: "PTO Type" },
+          element: {
+            type: "static_select",
+            action_id: "type_select",
+            placeholder: { type: "plain_text", text: "Select type" },
+            options: typeOptions,
+          },
+        },
         {
           type: "input",
-          block_id: "pto_type_block",
-          label: { type: "plain_text", text: "OOO Type" },
+          block_id: "direction_block",
+          label: { type: "plain_text", text: "Adjustment" },
           element: {
             type: "static_select",
-            action_id: "pto_type",
-            placeholder: { type: "plain_text", text: "Select type" },
-            options,
+            action_id: "direction_select",
+            options: directionOptions,
+            initial_option: directionOptions[0],
           },
         },
         {
           type: "input",
-          block_id: "start_date_block",
-          label: { type: "plain_text", text: "Start date" },
-          element: { type: "datepicker", action_id: "start_date" },
+          block_id: "days_block",
+          label: { type: "plain_text", text: "Days" },
+          element: { type: "number_input", action_id: "days", is_decimal_allowed: true, min_value: "0.5" },
         },
         {
           type: "input",
-          block_id: "end_date_block",
-          label: { type: "plain_text", text: "End date" },
-          element: { type: "datepicker", action_id: "end_date" },
+          block_id: "effective_date_block",
+          optional: true,
+          label: { type: "plain_text", text: "Effective date (defaults to today)" },
+          element: { type: "datepicker", action_id: "effective_date" },
         },
         {
           type: "input",
           block_id: "reason_block",
-          optional: true,
-          label: { type: "plain_text", text: "Reason (optional)" },
-          element: { type: "plain_text_input", action_id: "reason", multiline: true },
+          label: { type: "plain_text", text: "Reason" },
+          element: {
+            type: "plain_text_input",
+            action_id: "reason",
+            placeholder: { type: "plain_text", text: "e.g., Correction for days worked on 2026-03-02" },
+          },
         },
       ],
     },
   });
 });
 
-// review en approvals, abre un modal de reviews simple 
-slack.action("home_review_request", async ({ ack, body, client }) => {
-  await ack();
+slack.view("admin_adjust_balance_submit", async ({ ack, body, view, client }) => {
+  const slack_id = body.user.id;
 
-  const request_id = body.actions[0].value;
+  const { user: admin } = await getUserBySlackId(slack_id);
+  if (!admin?.is_admin) {
+    await ack({ response_action: "errors", errors: { user_block: "Not authorized" } });
+    return;
+  }
 
-  const { data: req } = await supabase
-    .from("pto_requests")
-    .select("id, start_date, end_date, status, type, category, days_count, reason, user_id")
-    .eq("id", request_id)
-    .single();
+  const values = view.state.values;
+  const userId = parseInt(values.user_block.user_select.selected_option.value, 10);
+  const [category, type] = values.type_block.type_select.selected_option.value.split("||");
+  const direction = values.direction_block.direction_select.selected_option.value;
+  const amount = Number(values.days_block.days.value);
+  const effectiveDate = values.effective_date_block?.effective_date?.selected_date || todayStr();
+  const reason = values.reason_block.reason.value;
 
-  if (!req) return;
+  if (!amount || amount <= 0) {
+    await ack({ response_action: "errors", errors: { days_block: "Enter a positive number of days" } });
+    return;
+  }
 
-  const { data: ru } = await supabase
+  const { adjustment, error } = await createAdjustment({
+    userId,
+    category,
+    type,
+    days: direction === "debit" ? -amount : amount,
+    reason,
+    createdBy: admin.id,
+    effectiveDate,
+  });
+
+  if (error) {
+    console.error("Error creating adjustment:", error);
+    await ack({ response_action: "errors", errors: { user_block: "Error saving adjustment. Try again." } });
+    return;
+  }
+
+  await ack();
+
+  const { data: targetUser } = await supabase
     .from("users")
     .select("name, slack_id")
-    .eq("id", req.user_id)
+    .eq("id", userId)
     .single();
 
-  const who = ru?.slack_id ? `<@${ru.slack_id}>` : (ru?.name || "Unknown");
+  const userMention = targetUser?.slack_id ? `<@${targetUser.slack_id}>` : targetUser?.name || "Unknown";
 
-  await client.views.open({
-    trigger_id: body.trigger_id,
-    view: {
-      type: "modal",
-      title: { type: "plain_text", text: "Review PTO" },
-      close: { type: "plain_text", text: "Close" },
-      blocks: [
-        {
-          type: "section",
-          text: {
-            type: "mrkdwn",
-            text:
-              `*Requester:* ${who}\n` +
-              `*Type:* ${req.type}\n` +
-              `*Dates:* ${req.start_date} → ${req.end_date}\n` +
-              `*Days:* ${req.days_count}\n` +
-              `*Status:* ${req.status}\n` +
-              (req.reason ? `*Reason:* ${req.reason}\n` : ""),
-          },
-        },
-        {
-          type: "actions",
-          elements: [
-            {
-              type: "button",
-              text: { type: "plain_text", text: "Approve ✅" },
-              style: "primary",
-              action_id: "pto_approve_btn",
-              value: req.id,
-            },
-            {
-              type: "button",
-              text: { type: "plain_text", text: "Deny ❌" },
-              style: "danger",
-              action_id: "pto_deny_btn",
-              value: req.id,
-            },
-          ],
-        },
-      ],
-    },
+  const dm = await client.conversations.open({ users: slack_id });
+  await client.chat.postMessage({
+    channel: dm.channel.id,
+    text: `✅ *Balance adjusted* for ${userMention}\n• ${formatAdjustment(adjustment)}`,
   });
+
+  await notifyAdjustment(client, adjustment);
+
+  await publishHome(client, slack_id);
+  if (targetUser?.slack_id) await publishHome(client, targetUser.slack_id);
 });
 
 // ---------------------------
-// Admin: Manage Teams modal
+// Admin: Edit allowances modal (hire date + per-type override)
 // ---------------------------
-slack.action("admin_manage_users", async ({ ack, body, client }) => {
+slack.action("admin_edit_allowances", async ({ ack, body, client }) => {
   await ack();
 
   const slack_id = body.user.id;
 
-  // Run both queries in parallel for speed (Slack has 3s timeout for trigger_id)
-  const [adminResult, usersResult] = await Promise.all([
+  // Run queries in parallel (Slack has 3s timeout for trigger_id)
+  const [adminResult, usersResult, typesResult] = await Promise.all([
     supabase
       .from("users")
       .select("id, is_admin")
@@ -1843,12 +5479,20 @@ slack.action("admin_manage_users", async ({ ack, body, client }) => {
       .single(),
     supabase
       .from("users")
-      .select("id, name, slack_id, manager_id")
+      .select("id, name, slack_id")
+      .eq("is_system", false)
+      .order("name", { ascending: true }),
+    supabase
+      .from("pto_types")
+      .select("category, name, annual_allowance_days")
+      .eq("is_unlimited", false)
+      .order("category", { ascending: true })
       .order("name", { ascending: true }),
   ]);
 
   const { data: admin, error: adminError } = adminResult;
   const { data: allUsers, error: usersError } = usersResult;
+  const { data: ptoTypes } = typesResult;
 
   if (adminError || !admin?.is_admin) {
     return;
@@ -1858,231 +5502,325 @@ slack.action("admin_manage_users", async ({ ack, body, client }) => {
     return;
   }
 
-  // Build options for manager dropdown
-  const managerOptions = allUsers.map((u) => ({
+  const userOptions = allUsers.map((u) => ({
     text: { type: "plain_text", text: u.name || `User ${u.slack_id}` },
     value: String(u.id),
   }));
 
-  // Build options for multi-select (users to assign)
-  const userOptions = allUsers.map((u) => {
-    const currentManager = allUsers.find((m) => m.id === u.manager_id);
-    const managerText = currentManager ? ` (→ ${currentManager.name})` : " (no manager)";
-    return {
-      text: { type: "plain_text", text: `${u.name || u.slack_id}${managerText}` },
-      value: String(u.id),
-    };
-  });
+  const typeOptions = (ptoTypes || []).map((t) => ({
+    text: { type: "plain_text", text: `${t.name} (policy: ${t.annual_allowance_days ?? 0})` },
+    value: `${t.category}||${t.name}`,
+  }));
 
   await client.views.open({
     trigger_id: body.trigger_id,
     view: {
       type: "modal",
-      callback_id: "admin_assign_team_submit",
-      title: { type: "plain_text", text: "Manage Teams" },
-      submit: { type: "plain_text", text: "Assign" },
+      callback_id: "admin_allowances_submit",
+      title: { type: "plain_text", text: "Edit Allowances" },
+      submit: { type: "plain_text", text: "Save" },
       close: { type: "plain_text", text: "Cancel" },
       blocks: [
         {
           type: "section",
           text: {
             type: "mrkdwn",
-            text: "Select a manager and choose which users should report to them.",
+            text:
+              "✏️ *Edit an employee's allowance*\n\n" +
+              "Hire date and last day prorate the allowance for the leave year and drive tenure extra days. " +
+              "Pick a type to set its override, " +
+              "or leave the days empty to remove the override and go back to policy.",
           },
         },
         {
           type: "input",
-          block_id: "manager_block",
-          label: { type: "plain_text", text: "Manager" },
+          block_id: "user_block",
+          label: { type: "plain_text", text: "Employee" },
           element: {
             type: "static_select",
-            action_id: "manager_select",
-            placeholder: { type: "plain_text", text: "Select manager" },
-            options: managerOptions,
+            action_id: "user_select",
+            placeholder: { type: "plain_text", text: "Select employee" },
+            options: userOptions,
           },
         },
         {
           type: "input",
-          block_id: "users_block",
-          label: { type: "plain_text", text: "Assign these users to the manager" },
+          block_id: "hire_date_block",
+          optional: true,
+          label: { type: "plain_text", text: "Hire date" },
+          element: { type: "datepicker", action_id: "hire_date" },
+        },
+        {
+          type: "input",
+          block_id: "termination_date_block",
+          optional: true,
+          label: { type: "plain_text", text: "Last day (leavers only)" },
+          element: { type: "datepicker", action_id: "termination_date" },
+        },
+        {
+          type: "input",
+          block_id: "type_block",
+          optional: true,
+          label: { type: "plain_text", text: "PTO Type" },
           element: {
-            type: "multi_static_select",
-            action_id: "users_select",
-            placeholder: { type: "plain_text", text: "Select users" },
-            options: userOptions,
+            type: "static_select",
+            action_id: "type_select",
+            placeholder: { type: "plain_text", text: "Select type" },
+            options: typeOptions,
           },
         },
+        {
+          type: "input",
+          block_id: "allowance_block",
+          optional: true,
+          label: { type: "plain_text", text: "Annual allowance (days)" },
+          element: { type: "number_input", action_id: "allowance", is_decimal_allowed: true, min_value: "0" },
+        },
       ],
     },
   });
 });
 
-// Handle assign team submit
-slack.view("admin_assign_team_submit", async ({ ack, body, view, client }) => {
-  await ack();
-
+slack.view("admin_allowances_submit", async ({ ack, body, view, client }) => {
   const slack_id = body.user.id;
 
-  // Verify admin
-  const { data: admin, error: adminError } = await supabase
-    .from("users")
-    .select("id, is_admin")
-    .eq("slack_id", slack_id)
-    .single();
-
-  if (adminError || !admin?.is_admin) {
+  const { user: admin } = await getUserBySlackId(slack_id);
+  if (!admin?.is_admin) {
+    await ack({ response_action: "errors", errors: { user_block: "Not authorized" } });
     return;
   }
 
-  // Get selected values
-  const managerId = view.state.values.manager_block.manager_select.selected_option.value;
-  const selectedUsers = view.state.values.users_block.users_select.selected_options || [];
-  const userIds = selectedUsers.map((o) => o.value);
+  const values = view.state.values;
+  const userId = parseInt(values.user_block.user_select.selected_option.value, 10);
+  const hire_date = values.hire_date_block?.hire_date?.selected_date || null;
+  const termination_date = values.termination_date_block?.termination_date?.selected_date || null;
+  const typeValue = values.type_block?.type_select?.selected_option?.value || null;
+  const allowanceValue = values.allowance_block?.allowance?.value;
 
-  if (userIds.length === 0) {
+  if (!hire_date && !termination_date && !typeValue) {
+    await ack({
+      response_action: "errors",
+      errors: { type_block: "Set a date or pick a type to change" },
+    });
     return;
   }
 
-  // Update all selected users to have this manager
-  const { error: updateError } = await supabase
-    .from("users")
-    .update({ manager_id: parseInt(managerId, 10) })
-    .in("id", userIds.map((id) => parseInt(id, 10)));
+  if (hire_date && termination_date && termination_date < hire_date) {
+    await ack({
+      response_action: "errors",
+      errors: { termination_date_block: "Last day must be after the hire date" },
+    });
+    return;
+  }
 
-  if (updateError) {
-    console.error("Error updating manager assignments:", updateError);
+  if (allowanceValue && !typeValue) {
+    await ack({ response_action: "errors", errors: { type_block: "Pick the type for this allowance" } });
     return;
   }
 
-  // Get manager name for confirmation
-  const { data: manager } = await supabase
+  const changes = [];
+
+  if (hire_date || termination_date) {
+    const patch = {};
+    if (hire_date) patch.hire_date = hire_date;
+    if (termination_date) patch.termination_date = termination_date;
+
+    const { error } = await supabase.from("users").update(patch).eq("id", userId);
+    if (error) {
+      console.error("Error updating employment dates:", error);
+      await ack({ response_action: "errors", errors: { hire_date_block: "Error saving. Try again." } });
+      return;
+    }
+    if (hire_date) changes.push(`Hire date: ${hire_date}`);
+    if (termination_date) changes.push(`Last day: ${termination_date}`);
+  }
+
+  if (typeValue) {
+    const [category, type] = typeValue.split("||");
+
+    const { error } = allowanceValue
+      ? await supabase
+          .from("pto_allowance_overrides")
+          .upsert(
+            [{ user_id: userId, category, type, annual_allowance_days: Number(allowanceValue) }],
+            { onConflict: "user_id,category,type" }
+          )
+      : await supabase
+          .from("pto_allowance_overrides")
+          .delete()
+          .eq("user_id", userId)
+          .eq("category", category)
+          .eq("type", type);
+
+    if (error) {
+      console.error("Error saving allowance override:", error);
+      await ack({ response_action: "errors", errors: { allowance_block: "Error saving. Try again." } });
+      return;
+    }
+    changes.push(allowanceValue ? `${type}: ${allowanceValue} days/year` : `${type}: back to policy`);
+  }
+
+  await ack();
+
+  const { data: targetUser } = await supabase
     .from("users")
     .select("name, slack_id")
-    .eq("id", managerId)
+    .eq("id", userId)
     .single();
 
-  const managerMention = manager?.slack_id ? `<@${manager.slack_id}>` : manager?.name || "Unknown";
+  const userMention = targetUser?.slack_id ? `<@${targetUser.slack_id}>` : targetUser?.name || "Unknown";
 
-  // Send confirmation DM
   const dm = await client.conversations.open({ users: slack_id });
   await client.chat.postMessage({
     channel: dm.channel.id,
-    text: `✅ Updated ${userIds.length} user(s) to report to ${managerMention}`,
+    text: `✅ *Allowances updated* for ${userMention}\n` + changes.map((c) => `• ${c}`).join("\n"),
   });
 
-  // Refresh home
   await publishHome(client, slack_id);
 });
 
 // ---------------------------
-// Admin: Add Historical PTO modal
+// Admin: Employment dates modal (from the "new user" DM)
 // ---------------------------
-slack.action("admin_add_historical_pto", async ({ ack, body, client }) => {
+slack.action("admin_set_employment_dates", async ({ ack, body, client }) => {
   await ack();
 
-  const slack_id = body.user.id;
+  const userId = body.actions[0].value;
 
-  // Run queries in parallel
-  const [adminResult, usersResult, typesResult] = await Promise.all([
+  const [adminResult, targetResult] = await Promise.all([
     supabase
       .from("users")
       .select("id, is_admin")
-      .eq("slack_id", slack_id)
+      .eq("slack_id", body.user.id)
       .single(),
     supabase
       .from("users")
-      .select("id, name, slack_id")
-      .order("name", { ascending: true }),
-    supabase
-      .from("pto_types")
-      .select("category, name")
-      .order("category", { ascending: true })
-      .order("name", { ascending: true }),
+      .select("id, name, slack_id, hire_date, termination_date")
+      .eq("id", userId)
+      .single(),
   ]);
 
-  const { data: admin, error: adminError } = adminResult;
-  const { data: allUsers, error: usersError } = usersResult;
-  const { data: ptoTypes, error: typesError } = typesResult;
+  const { data: admin } = adminResult;
+  const { data: target } = targetResult;
+
+  if (!admin?.is_admin || !target) return;
+
+  const hireElement = { type: "datepicker", action_id: "hire_date" };
+  if (target.hire_date) hireElement.initial_date = target.hire_date;
+  const terminationElement = { type: "datepicker", action_id: "termination_date" };
+  if (target.termination_date) terminationElement.initial_date = target.termination_date;
+
+  await client.views.open({
+    trigger_id: body.trigger_id,
+    view: {
+      type: "modal",
+      callback_id: "admin_employment_dates_submit",
+      private_metadata: String(target.id),
+      title: { type: "plain_text", text: "Employment Dates" },
+      submit: { type: "plain_text", text: "Save" },
+      close: { type: "plain_text", text: "Cancel" },
+      blocks: [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `*Employee:* ${target.slack_id ? `<@${target.slack_id}>` : target.name}`,
+          },
+        },
+        {
+          type: "input",
+          block_id: "hire_date_block",
+          label: { type: "plain_text", text: "Start date" },
+          element: hireElement,
+        },
+        {
+          type: "input",
+          block_id: "termination_date_block",
+          optional: true,
+          label: { type: "plain_text", text: "Last day (leavers only)" },
+          element: terminationElement,
+        },
+      ],
+    },
+  });
+});
+
+slack.view("admin_employment_dates_submit", async ({ ack, body, view, client }) => {
+  const { user: admin } = await getUserBySlackId(body.user.id);
+  if (!admin?.is_admin) {
+    await ack({ response_action: "errors", errors: { hire_date_block: "Not authorized" } });
+    return;
+  }
 
-  if (adminError || !admin?.is_admin) {
+  const userId = parseInt(view.private_metadata, 10);
+  const hire_date = view.state.values.hire_date_block.hire_date.selected_date;
+  const termination_date = view.state.values.termination_date_block?.termination_date?.selected_date || null;
+
+  if (termination_date && termination_date < hire_date) {
+    await ack({
+      response_action: "errors",
+      errors: { termination_date_block: "Last day must be after the start date" },
+    });
     return;
   }
 
-  if (usersError || !allUsers || allUsers.length === 0) {
+  const { error } = await supabase
+    .from("users")
+    .update({ hire_date, termination_date })
+    .eq("id", userId);
+
+  if (error) {
+    console.error("Error updating employment dates:", error);
+    await ack({ response_action: "errors", errors: { hire_date_block: "Error saving. Try again." } });
     return;
   }
 
-  // Build user options
-  const userOptions = allUsers.map((u) => ({
-    text: { type: "plain_text", text: u.name || `User ${u.slack_id}` },
-    value: String(u.id),
-  }));
+  await ack();
 
-  // Build PTO type options
-  const typeOptions = (ptoTypes || []).map((t) => ({
-    text: { type: "plain_text", text: `${t.name} (${t.category})` },
-    value: `${t.category}||${t.name}`,
-  }));
+  const dm = await client.conversations.open({ users: body.user.id });
+  await client.chat.postMessage({
+    channel: dm.channel.id,
+    text: `✅ Employment dates saved: ${hire_date}${termination_date ? ` → ${termination_date}` : ""}`,
+  });
+});
+
+// ---------------------------
+// Admin: Upload holidays modal (CSV pasted as text)
+// ---------------------------
+slack.action("admin_upload_holidays", async ({ ack, body, client }) => {
+  await ack();
+
+  const { user: admin } = await getUserBySlackId(body.user.id);
+  if (!admin?.is_admin) return;
 
   await client.views.open({
     trigger_id: body.trigger_id,
     view: {
       type: "modal",
-      callback_id: "admin_historical_pto_submit",
-      title: { type: "plain_text", text: "Add Historical PTO" },
-      submit: { type: "plain_text", text: "Save" },
+      callback_id: "admin_holidays_submit",
+      title: { type: "plain_text", text: "Upload Holidays" },
+      submit: { type: "plain_text", text: "Import" },
       close: { type: "plain_text", text: "Cancel" },
       blocks: [
         {
           type: "section",
           text: {
             type: "mrkdwn",
-            text: "📥 *Add a historical PTO record*\n\nThis will be saved as `approved` automatically and will count against the user's balance.",
-          },
-        },
-        {
-          type: "input",
-          block_id: "user_block",
-          label: { type: "plain_text", text: "Employee" },
-          element: {
-            type: "static_select",
-            action_id: "user_select",
-            placeholder: { type: "plain_text", text: "Select employee" },
-            options: userOptions,
-          },
-        },
-        {
-          type: "input",
-          block_id: "type_block",
-          label: { type: "plain_text", text: "PTO Type" },
-          element: {
-            type: "static_select",
-            action_id: "type_select",
-            placeholder: { type: "plain_text", text: "Select type" },
-            options: typeOptions,
+            text:
+              "📅 *Import public holidays*\n\n" +
+              "One per line: `country,region,date,name`. Leave region empty for the whole country.\n" +
+              "National holidays for AR, ES and US are already bundled; use this for regional or extra days.",
           },
         },
         {
           type: "input",
-          block_id: "start_date_block",
-          label: { type: "plain_text", text: "Start date" },
-          element: { type: "datepicker", action_id: "start_date" },
-        },
-        {
-          type: "input",
-          block_id: "end_date_block",
-          label: { type: "plain_text", text: "End date" },
-          element: { type: "datepicker", action_id: "end_date" },
-        },
-        {
-          type: "input",
-          block_id: "note_block",
-          optional: true,
-          label: { type: "plain_text", text: "Note (optional)" },
+          block_id: "csv_block",
+          label: { type: "plain_text", text: "CSV" },
           element: {
             type: "plain_text_input",
-            action_id: "note",
-            placeholder: { type: "plain_text", text: "e.g., Migrated from old system" },
+            action_id: "csv",
+            multiline: true,
+            placeholder: { type: "plain_text", text: "ES,MD,2026-05-02,Fiesta de la Comunidad de Madrid" },
           },
         },
       ],
@@ -2090,105 +5828,38 @@ slack.action("admin_add_historical_pto", async ({ ack, body, client }) => {
   });
 });
 
-// Handle historical PTO submit
-slack.view("admin_historical_pto_submit", async ({ ack, body, view, client }) => {
+slack.view("admin_holidays_submit", async ({ ack, body, view, client }) => {
   const slack_id = body.user.id;
 
-  // Verify admin
-  const { data: admin, error: adminError } = await supabase
-    .from("users")
-    .select("id, is_admin")
-    .eq("slack_id", slack_id)
-    .single();
-
-  if (adminError || !admin?.is_admin) {
-    await ack({ response_action: "errors", errors: { user_block: "Not authorized" } });
-    return;
-  }
-
-  // Get form values
-  const userId = view.state.values.user_block.user_select.selected_option.value;
-  const typeValue = view.state.values.type_block.type_select.selected_option.value;
-  const [category, type] = typeValue.split("||");
-  const start_date = view.state.values.start_date_block.start_date.selected_date;
-  const end_date = view.state.values.end_date_block.end_date.selected_date;
-  const note = view.state.values.note_block?.note?.value || "Historical record";
-
-  // Validate dates
-  if (end_date < start_date) {
-    await ack({
-      response_action: "errors",
-      errors: { end_date_block: "End date must be after start date" },
-    });
+  const { user: admin } = await getUserBySlackId(slack_id);
+  if (!admin?.is_admin) {
+    await ack({ response_action: "errors", errors: { csv_block: "Not authorized" } });
     return;
   }
 
-  // Calculate business days
-  const days = countBusinessDays(start_date, end_date);
-  if (!days) {
+  const { rows, errors } = parseHolidaysCsv(view.state.values.csv_block.csv.value);
+  if (errors.length > 0 || rows.length === 0) {
     await ack({
       response_action: "errors",
-      errors: { end_date_block: "Invalid dates" },
+      errors: { csv_block: errors.slice(0, 3).join("\n") || "No holidays found" },
     });
     return;
   }
 
-  // Create the PTO request as approved
-  const { data: newPto, error: createError } = await supabase
-    .from("pto_requests")
-    .insert([
-      {
-        user_id: parseInt(userId, 10),
-        start_date,
-        end_date,
-        days_count: days,
-        status: "approved",
-        category,
-        type,
-        reason: note,
-        approver_id: admin.id,
-        decided_by: admin.id,
-        decided_at: new Date().toISOString(),
-      },
-    ])
-    .select()
-    .single();
-
-  if (createError) {
-    console.error("Error creating historical PTO:", createError);
-    await ack({
-      response_action: "errors",
-      errors: { user_block: "Error saving record. Try again." },
-    });
+  const { saved, error } = await saveHolidays(rows);
+  if (error) {
+    console.error("Error importing holidays:", error);
+    await ack({ response_action: "errors", errors: { csv_block: "Error saving holidays. Try again." } });
     return;
   }
 
   await ack();
 
-  // Get user name for confirmation
-  const { data: targetUser } = await supabase
-    .from("users")
-    .select("name, slack_id")
-    .eq("id", userId)
-    .single();
-
-  const userMention = targetUser?.slack_id ? `<@${targetUser.slack_id}>` : targetUser?.name || "Unknown";
-
-  // Send confirmation DM to admin
   const dm = await client.conversations.open({ users: slack_id });
   await client.chat.postMessage({
     channel: dm.channel.id,
-    text:
-      `✅ *Historical PTO saved*\n\n` +
-      `• Employee: ${userMention}\n` +
-      `• Type: ${type}\n` +
-      `• Dates: ${start_date} → ${end_date}\n` +
-      `• Days: ${days}\n` +
-      `• Note: ${note}`,
+    text: `✅ Imported ${saved.length} holiday(s)`,
   });
-
-  // Refresh home
-  await publishHome(client, slack_id);
 });
 
 // ---------------------------
@@ -2205,6 +5876,7 @@ app.get("/cron/pto-notifications", async (req, res) => {
       .from("pto_requests")
       .select("id, user_id, type, start_date, end_date, days_count")
       .eq("status", "approved")
+      .eq("kind", "leave")
       .eq("start_date", today);
 
     if (startError) {
@@ -2216,6 +5888,7 @@ app.get("/cron/pto-notifications", async (req, res) => {
       .from("pto_requests")
       .select("id, user_id, type, start_date, end_date")
       .eq("status", "approved")
+      .eq("kind", "leave")
       .eq("end_date", today);
 
     if (endError) {
@@ -2310,6 +5983,291 @@ app.get("/cron/pto-notifications", async (req, res) => {
   }
 });
 
+// ---------------------------
+// Cron: Stale approvals
+// Run daily (business days). For each pending request:
+// - reminds the current approver every APPROVAL_REMINDER_DAYS business days without a decision
+// - escalates once, after APPROVAL_ESCALATION_DAYS, to the approver's manager (or the admins)
+// - warns daily when the leave starts within APPROVAL_START_WARNING_DAYS and is still undecided
+// Every message carries the Approve/Deny buttons.
+// ---------------------------
+const APPROVAL_REMINDER_DAYS = Number(process.env.APPROVAL_REMINDER_DAYS || 2);
+const APPROVAL_ESCALATION_DAYS = Number(process.env.APPROVAL_ESCALATION_DAYS || 5);
+const APPROVAL_START_WARNING_DAYS = Number(process.env.APPROVAL_START_WARNING_DAYS || 3);
+
+// Business days elapsed since a timestamp (0 on the same day)
+function businessDaysSince(timestamp, today = todayStr()) {
+  const from = addDays(localDateStr(new Date(timestamp)), 1);
+  return from > today ? 0 : countBusinessDays(from, today);
+}
+
+app.get("/cron/approval-reminders", async (req, res) => {
+  try {
+    const today = todayStr();
+    const results = { reminded: [], escalated: [], starting_soon: [] };
+
+    const { data: pending, error } = await supabase
+      .from("pto_requests")
+      .select("*")
+      .eq("status", "pending")
+      .order("start_date", { ascending: true });
+
+    if (error) return res.status(400).json({ ok: false, error });
+    if (!pending || pending.length === 0) {
+      return res.json({ ok: true, message: "No pending requests", results });
+    }
+
+    const stepsByRequest = await loadApprovalSteps(pending.map((r) => r.id));
+
+    const userIds = [...new Set(pending.flatMap((r) => [r.user_id, r.approver_id]).filter(Boolean))];
+    const { data: users } = await supabase.from("users").select("id, name, slack_id, manager_id").in("id", userIds);
+    const userMap = {};
+    for (const u of users || []) userMap[u.id] = u;
+
+    // saved like any approval DM, so the decision rewrites them too
+    const dmBlocks = async (requestId, slackId, text, blocks) => {
+      try {
+        await postApprovalMessage(slack.client, requestId, slackId, { text, blocks });
+      } catch (e) {
+        console.error(`Error sending approval reminder to ${slackId}:`, e.message);
+      }
+    };
+
+    for (const r of pending) {
+      const waited = businessDaysSince(r.awaiting_since || r.created_at, today);
+      const startsIn = daysBetween(today, r.start_date);
+
+      const remind =
+        waited >= APPROVAL_REMINDER_DAYS &&
+        (!r.last_reminded_at || businessDaysSince(r.last_reminded_at, today) >= APPROVAL_REMINDER_DAYS);
+      // once the leave has started the escalation takes over: no daily warning for overdue requests
+      const startingSoon =
+        r.kind !== "earn" &&
+        startsIn >= 0 &&
+        startsIn <= APPROVAL_START_WARNING_DAYS &&
+        !(r.last_reminded_at || "").startsWith(today);
+      const escalate = waited >= APPROVAL_ESCALATION_DAYS && !r.escalated_at;
+
+      if (!remind && !startingSoon && !escalate) continue;
+
+      const requester = userMap[r.user_id];
+      const steps = stepsByRequest[r.id] || [];
+      const step = steps.find((st) => st.step_order === r.current_step) || { role: "manager", approver_id: r.approver_id };
+      const lines = [
+        `Requester: ${requester?.slack_id ? `<@${requester.slack_id}>` : requester?.name || "Unknown"}`,
+        `Type: *${r.type}*`,
+        `Dates: *${formatRequestDates(r)}*`,
+        `Days: *${r.days_count}*`,
+        `Waiting for *${waited}* business day(s)`,
+        startingSoon && `⚠️ Starts in *${startsIn}* day(s) and is still undecided`,
+        approvalStepLabel(r, steps) && `Waiting on ${approvalStepLabel(r, steps)}`,
+      ];
+
+      const update = {};
+
+      // 1) recordatorio / aviso de inicio al approver actual (o su delegate)
+      if (remind || startingSoon) {
+        const title = startingSoon ? "⚠️ Undecided request starting soon" : "⏰ Reminder: approval pending";
+        for (const recipient of await approverRecipients(step)) {
+          await dmBlocks(r.id, recipient.slack_id, title, approvalBlocks(title, r.id, [...lines, delegationLine(recipient)]));
+        }
+        update.last_reminded_at = new Date().toISOString();
+        (startingSoon ? results.starting_soon : results.reminded).push({ request_id: r.id, waited, starts_in: startsIn });
+      }
+
+      // 2) escalamiento: manager del approver, o admins si no tiene
+      if (escalate) {
+        const approver = userMap[r.approver_id];
+        const skipLevelId = approver?.manager_id || null;
+        const targets = skipLevelId
+          ? await approverRecipients({ role: "skip_level", approver_id: skipLevelId })
+          : await approverRecipients({ role: "hr", approver_id: null });
+
+        const title = "🚨 Escalated: approval overdue";
+        const escalationLines = [
+          ...lines,
+          `Approver: ${approver?.slack_id ? `<@${approver.slack_id}>` : "HR"} hasn't decided in ${waited} business days`,
+        ];
+        for (const target of targets) {
+          await dmBlocks(r.id, target.slack_id, title, approvalBlocks(title, r.id, [...escalationLines, delegationLine(target)]));
+        }
+        await dispatchRequestEvent(slack.client, "escalated", r, {
+          note: `Lleva ${waited} días hábiles sin decidir; se la pasamos a ${skipLevelId ? "el manager de tu approver" : "RRHH"}.`,
+        });
+        update.escalated_at = new Date().toISOString();
+        update.escalated_to = skipLevelId;
+        results.escalated.push({ request_id: r.id, waited, to: skipLevelId ? "skip_level" : "admins" });
+      }
+
+      const { error: updateError } = await supabase
+        .from("pto_requests")
+        .update(update)
+        .eq("id", r.id)
+        .eq("status", "pending");
+      if (updateError) console.error(`Error updating reminder state for request ${r.id}:`, updateError);
+    }
+
+    console.log(
+      `✅ Approval reminders: ${results.reminded.length} reminded, ${results.starting_soon.length} starting soon, ` +
+        `${results.escalated.length} escalated`
+    );
+    res.json({ ok: true, results });
+  } catch (e) {
+    console.error("Approval reminders cron error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ---------------------------
+// Cron: Missing supporting documents
+// Run daily. DMs each employee whose document is due within DOCUMENT_REMINDER_DAYS (or overdue),
+// and sends admins a summary of the overdue ones.
+// ---------------------------
+const DOCUMENT_REMINDER_DAYS = Number(process.env.DOCUMENT_REMINDER_DAYS || 3);
+
+app.get("/cron/document-reminders", async (req, res) => {
+  try {
+    const today = todayStr();
+    const results = { reminded: [], overdue: [] };
+
+    const { data: missing, error } = await supabase
+      .from("pto_requests")
+      .select("id, user_id, type, start_date, end_date, day_part, hours, document_due_on")
+      .eq("document_status", "missing")
+      .in("status", ["pending", "approved"])
+      .lte("document_due_on", addDays(today, DOCUMENT_REMINDER_DAYS))
+      .order("document_due_on", { ascending: true });
+
+    if (error) return res.status(400).json({ ok: false, error });
+    if (!missing || missing.length === 0) {
+      return res.json({ ok: true, message: "No documents due", results });
+    }
+
+    const { data: users } = await supabase
+      .from("users")
+      .select("id, name, slack_id")
+      .in("id", [...new Set(missing.map((r) => r.user_id))]);
+
+    const userMap = {};
+    for (const u of users || []) userMap[u.id] = u;
+
+    for (const r of missing) {
+      const user = userMap[r.user_id];
+      const overdue = r.document_due_on < today;
+      if (overdue) results.overdue.push({ request_id: r.id, user: user?.name, due: r.document_due_on });
+      if (!user?.slack_id) continue;
+
+      try {
+        const dm = await slack.client.conversations.open({ users: user.slack_id });
+        await slack.client.chat.postMessage({
+          channel: dm.channel.id,
+          text:
+            `📎 *${overdue ? "Documento vencido" : "Recordatorio de documento"}*\n\n` +
+            `Tu solicitud de *${r.type}* (${formatRequestDates(r)}) necesita un documento ` +
+            `${overdue ? "desde el" : "antes del"} *${r.document_due_on}*.\n` +
+            `Envíalo por este DM como archivo, con \`#${r.id}\` en el mensaje.`,
+        });
+        results.reminded.push({ request_id: r.id, user: user.name });
+      } catch (e) {
+        console.error(`Error sending document reminder to ${user.slack_id}:`, e.message);
+      }
+    }
+
+    // resumen de vencidos para admins
+    if (results.overdue.length > 0) {
+      const { data: admins } = await supabase.from("users").select("slack_id").eq("is_admin", true);
+      const text =
+        `📎 *${results.overdue.length} solicitud(es) con documento vencido*\n` +
+        results.overdue.map((o) => `• ${o.user || "Unknown"} — #${o.request_id} (vencía ${o.due})`).join("\n");
+
+      for (const admin of admins || []) {
+        if (!admin.slack_id) continue;
+        try {
+          const dm = await slack.client.conversations.open({ users: admin.slack_id });
+          await slack.client.chat.postMessage({ channel: dm.channel.id, text });
+        } catch (e) {
+          console.error(`Error sending overdue documents summary to ${admin.slack_id}:`, e.message);
+        }
+      }
+    }
+
+    console.log(`✅ Document reminders: ${results.reminded.length} sent, ${results.overdue.length} overdue`);
+    res.json({ ok: true, results });
+  } catch (e) {
+    console.error("Document reminders cron error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// ---------------------------
+// Cron: Year-end carryover rollover
+// Run once at the start of each leave period. Moves unused days of types with
+// carryover_allowed into the new period, capped by pto_types.carryover_max_days and
+// expiring on pto_types.carryover_expires_on ("MM-DD"). Safe to re-run: existing rows are kept.
+// ---------------------------
+app.get("/cron/carryover-rollover", async (req, res) => {
+  try {
+    const period = getLeavePeriod(req.query.date || todayStr());
+    const previous = getLeavePeriod(addDays(period.start, -1));
+
+    const { data: types, error: typesError } = await supabase
+      .from("pto_types")
+      .select("*")
+      .eq("carryover_allowed", true);
+
+    if (typesError) return res.status(400).json({ ok: false, error: typesError });
+
+    const rollTypes = (types || []).filter((t) => !t.is_unlimited && t.counts_against_balance);
+    if (rollTypes.length === 0) {
+      return res.json({ ok: true, message: "No PTO types allow carryover", period, rolled: [] });
+    }
+
+    const { data: users, error: usersError } = await supabase.from("users").select("*").eq("is_system", false);
+    if (usersError) return res.status(400).json({ ok: false, error: usersError });
+
+    const rows = [];
+    for (const user of users || []) {
+      const { inputs, error } = await loadBalanceInputs(user, previous);
+      if (error) {
+        console.error(`Error loading balance for ${user.slack_id}:`, error);
+        continue;
+      }
+
+      for (const t of rollTypes) {
+        if (!checkEligibility(user, t).ok) continue;
+
+        const balance = computeTypeBalance(t, inputs, previous, previous.end);
+        const cap = t.carryover_max_days ?? Infinity;
+        const days = Math.min(balance.remaining_days, cap);
+        if (days <= 0) continue;
+
+        rows.push({
+          user_id: user.id,
+          category: t.category,
+          type: t.name,
+          period_start: period.start,
+          days,
+          expires_on: t.carryover_expires_on ? monthDayInPeriod(t.carryover_expires_on, period) : null,
+        });
+      }
+    }
+
+    if (rows.length > 0) {
+      const { error: insertError } = await supabase
+        .from("pto_carryovers")
+        .upsert(rows, { onConflict: "user_id,category,type,period_start", ignoreDuplicates: true });
+
+      if (insertError) return res.status(400).json({ ok: false, error: insertError });
+    }
+
+    console.log(`✅ Carryover rollover ${previous.label} → ${period.label}: ${rows.length} balances`);
+    res.json({ ok: true, from: previous, to: period, rolled: rows });
+  } catch (e) {
+    console.error("Carryover rollover error:", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
 // ---------------------------
 // test-db (debug)
 // ---------------------------
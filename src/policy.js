@@ -0,0 +1,74 @@
+import { addDays, todayStr, daysBetween } from "./dates.js";
+
+// ---------------------------
+// Policy rules (pto_policy_rules): minimum notice, max consecutive days, blackout windows.
+// enforcement "block" rejects the request, "warn" lets it through flagged for the approver.
+// Loading the rules that apply to a type is in index.js (loadPolicyRules).
+// ---------------------------
+// Blackout windows overlapping [start, end]: fixed dates, or the last N days of every calendar quarter
+function blackoutWindows(rule, startDateStr, endDateStr) {
+  if (rule.quarter_end_days) {
+    const windows = [];
+    for (let y = Number(startDateStr.slice(0, 4)); y <= Number(endDateStr.slice(0, 4)); y++) {
+      for (const qEnd of ["03-31", "06-30", "09-30", "12-31"]) {
+        const end = `${y}-${qEnd}`;
+        windows.push({ start: addDays(end, -(rule.quarter_end_days - 1)), end });
+      }
+    }
+    return windows.filter((w) => w.start <= endDateStr && w.end >= startDateStr);
+  }
+
+  if (rule.start_date && rule.end_date && rule.start_date <= endDateStr && rule.end_date >= startDateStr) {
+    return [{ start: rule.start_date, end: rule.end_date }];
+  }
+  return [];
+}
+
+// Violations of a request { start_date, end_date, days_count } against the rules,
+// as [{ rule_id, enforcement, field, message }] (field = the request modal input to flag)
+export function evaluatePolicyRules(rules, r, today = todayStr()) {
+  const violations = [];
+
+  for (const rule of rules) {
+    const label = rule.name ? `${rule.name}: ` : "";
+    const violation = (field, message) =>
+      violations.push({ rule_id: rule.id, enforcement: rule.enforcement, field, message: label + message });
+
+    if (rule.rule_type === "min_notice") {
+      if (rule.applies_above_days != null && r.days_count <= rule.applies_above_days) continue;
+      const notice = daysBetween(today, r.start_date);
+      if (notice < rule.min_notice_days) {
+        violation(
+          "start_date",
+          `${r.type || "This type"} needs ${rule.min_notice_days} days notice` +
+            (rule.applies_above_days != null ? ` for more than ${rule.applies_above_days} days` : "") +
+            ` (${Math.max(notice, 0)} given)`
+        );
+      }
+    }
+
+    if (rule.rule_type === "max_consecutive" && r.days_count > rule.max_days) {
+      violation("end_date", `At most ${rule.max_days} consecutive days (requested ${r.days_count})`);
+    }
+
+    if (rule.rule_type === "blackout") {
+      const [w] = blackoutWindows(rule, r.start_date, r.end_date);
+      if (w) violation("start_date", `Blackout period ${w.start} → ${w.end}`);
+    }
+  }
+
+  return violations;
+}
+
+// ---------------------------
+// Overlaps
+// ---------------------------
+// Two requests with overlapping dates only conflict if they can't share the day:
+// AM + PM on the same date is fine, and hourly requests fit as long as the day isn't exceeded.
+export function requestsConflict(a, b) {
+  const partA = a.day_part || "full";
+  const partB = b.day_part || "full";
+  if (partA === "full" || partB === "full") return true;
+  if (partA !== "hours" && partB !== "hours") return partA === partB;
+  return (a.days_count || 0) + (b.days_count || 0) > 1;
+}
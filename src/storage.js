@@ -0,0 +1,72 @@
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { supabase } from "./supabase.js";
+
+// ---------------------------
+// File storage for supporting documents
+// STORAGE_DRIVER=local (default, for dev) keeps files under STORAGE_DIR;
+// STORAGE_DRIVER=supabase uses the STORAGE_BUCKET bucket in Supabase Storage.
+// Keys are relative paths like "requests/42/1730000000000-certificate.pdf".
+// ---------------------------
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || "local";
+const STORAGE_DIR = path.resolve(process.env.STORAGE_DIR || "uploads");
+const STORAGE_BUCKET = process.env.STORAGE_BUCKET || "pto-documents";
+
+function localPath(key) {
+  const full = path.resolve(STORAGE_DIR, key);
+  if (!full.startsWith(STORAGE_DIR + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+  return full;
+}
+
+const drivers = {
+  local: {
+    async save(key, buffer) {
+      const full = localPath(key);
+      await mkdir(path.dirname(full), { recursive: true });
+      await writeFile(full, buffer);
+    },
+    async read(key) {
+      return readFile(localPath(key));
+    },
+  },
+  supabase: {
+    async save(key, buffer, contentType) {
+      const { error } = await supabase.storage.from(STORAGE_BUCKET).upload(key, buffer, { contentType, upsert: false });
+      if (error) throw error;
+    },
+    async read(key) {
+      const { data, error } = await supabase.storage.from(STORAGE_BUCKET).download(key);
+      if (error) throw error;
+      return Buffer.from(await data.arrayBuffer());
+    },
+  },
+};
+
+function driver() {
+  const d = drivers[STORAGE_DRIVER];
+  if (!d) throw new Error(`Unknown STORAGE_DRIVER "${STORAGE_DRIVER}"`);
+  return d;
+}
+
+// Safe storage key for a file that belongs to a request
+export function documentKey(requestId, fileName) {
+  const safeName = (fileName || "document").replace(/[^A-Za-z0-9._-]+/g, "_").slice(-100);
+  return `requests/${requestId}/${Date.now()}-${safeName}`;
+}
+
+export async function saveFile(key, buffer, contentType = "application/octet-stream") {
+  try {
+    await driver().save(key, buffer, contentType);
+    return { key, error: null };
+  } catch (e) {
+    return { key: null, error: e };
+  }
+}
+
+export async function readStoredFile(key) {
+  try {
+    return { buffer: await driver().read(key), error: null };
+  } catch (e) {
+    return { buffer: null, error: e };
+  }
+}
@@ -0,0 +1,17 @@
+-- Year-end carryover: per-type cap and expiry, plus the days rolled into each period
+
+alter table pto_types
+  add column if not exists carryover_max_days numeric,      -- null = no cap
+  add column if not exists carryover_expires_on text;      -- "MM-DD" inside the new period, null = never
+
+create table if not exists pto_carryovers (
+  id bigint generated by default as identity primary key,
+  user_id bigint not null references users (id) on delete cascade,
+  category text not null,
+  type text not null,
+  period_start date not null,
+  days numeric not null,
+  expires_on date,
+  created_at timestamptz not null default now(),
+  unique (user_id, category, type, period_start)
+);
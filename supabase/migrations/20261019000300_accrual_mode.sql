@@ -0,0 +1,5 @@
+-- Accrual mode per PTO type: 'upfront' (default), 'monthly' or 'pay_period'
+
+alter table pto_types
+  add column if not exists accrual_mode text not null default 'upfront'
+    check (accrual_mode in ('upfront', 'monthly', 'pay_period'));
@@ -0,0 +1,14 @@
+-- Public holiday calendars: users get an optional region, admins upload extra holidays
+
+alter table users
+  add column if not exists region text;   -- e.g. 'MD' for Comunidad de Madrid (country = 'ES')
+
+create table if not exists holidays (
+  id bigint generated by default as identity primary key,
+  country text not null,                  -- ISO 3166-1 alpha-2, e.g. 'AR'
+  region text not null default '',        -- '' = whole country
+  date date not null,
+  name text not null,
+  created_at timestamptz not null default now(),
+  unique (country, region, date)
+);
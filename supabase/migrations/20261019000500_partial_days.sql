@@ -0,0 +1,7 @@
+-- Half-day (AM/PM) and hourly requests: fractional days_count plus the part of the day taken
+
+alter table pto_requests
+  alter column days_count type numeric,
+  add column if not exists day_part text not null default 'full'
+    check (day_part in ('full', 'am', 'pm', 'hours')),
+  add column if not exists hours numeric;   -- only for day_part = 'hours'
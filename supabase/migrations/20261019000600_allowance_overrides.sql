@@ -0,0 +1,24 @@
+-- Per-user allowance overrides and tenure-based extra days
+
+alter table users
+  add column if not exists hire_date date;
+
+create table if not exists pto_allowance_overrides (
+  id bigint generated by default as identity primary key,
+  user_id bigint not null references users (id) on delete cascade,
+  category text not null,
+  type text not null,
+  annual_allowance_days numeric not null,
+  created_at timestamptz not null default now(),
+  unique (user_id, category, type)
+);
+
+-- e.g. ('Short-term leave', 'Vacation', 3, 1, 5): +1 day per year of service after year 3, max +5
+create table if not exists pto_tenure_rules (
+  id bigint generated by default as identity primary key,
+  category text not null,
+  type text not null,
+  after_years int not null,
+  extra_days_per_year numeric not null,
+  max_extra_days numeric
+);
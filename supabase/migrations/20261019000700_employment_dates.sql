@@ -0,0 +1,4 @@
+-- Employment end date for leavers (hire_date is the start date); allowances are prorated by both
+
+alter table users
+  add column if not exists termination_date date;
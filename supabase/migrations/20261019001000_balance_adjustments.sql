@@ -0,0 +1,15 @@
+-- Manual balance adjustments ledger: credits (days > 0) and debits (days < 0) with who and why
+
+create table if not exists pto_balance_adjustments (
+  id bigint generated by default as identity primary key,
+  user_id bigint not null references users (id) on delete cascade,
+  category text not null,
+  type text not null,
+  days numeric not null check (days <> 0),
+  reason text not null,
+  created_by bigint references users (id),
+  effective_date date not null default current_date,   -- leave period it counts in
+  created_at timestamptz not null default now()
+);
+
+create index if not exists pto_balance_adjustments_user_idx on pto_balance_adjustments (user_id, effective_date);
@@ -0,0 +1,79 @@
+-- Time off in lieu (TOIL): employees log days worked on weekends/holidays as an 'earn'
+-- request; once approved it becomes a credit in pto_balance_adjustments for the TOIL type,
+-- optionally expiring after pto_types.credit_expires_after_days.
+
+alter table pto_requests
+  add column if not exists kind text not null default 'leave'
+    check (kind in ('leave', 'earn'));
+
+alter table pto_balance_adjustments
+  add column if not exists expires_on date,   -- credit stops counting after this date
+  add column if not exists source_request_id bigint unique references pto_requests (id);
+
+alter table pto_types
+  add column if not exists credit_expires_after_days int;   -- null = earned credits don't expire
+
+insert into pto_types (category, name, annual_allowance_days, is_unlimited, counts_against_balance, carryover_allowed)
+select 'Other', 'Time off in lieu', 0, false, true, false
+where not exists (select 1 from pto_types where category = 'Other' and name = 'Time off in lieu');
+
+-- earn requests only overlap other earn requests (you can't log the same worked day twice)
+create or replace function create_pto_request(p_request jsonb, p_open_days_seen numeric default null)
+returns pto_requests
+language plpgsql
+as $$
+declare
+  v_user_id bigint := (p_request->>'user_id')::bigint;
+  v_day_part text := coalesce(p_request->>'day_part', 'full');
+  v_days numeric := (p_request->>'days_count')::numeric;
+  v_kind text := coalesce(p_request->>'kind', 'leave');
+  v_open_days numeric;
+  v_columns text;
+  v_row pto_requests;
+begin
+  perform pg_advisory_xact_lock(hashtext('create_pto_request'), v_user_id::int);
+
+  -- same rules as requestsConflict() in src/index.js: AM + PM share a date,
+  -- hourly requests fit as long as the day isn't exceeded
+  if exists (
+    select 1
+    from pto_requests r
+    where r.user_id = v_user_id
+      and r.kind = v_kind
+      and r.status in ('pending', 'approved')
+      and r.start_date <= (p_request->>'end_date')::date
+      and r.end_date >= (p_request->>'start_date')::date
+      and (
+        r.day_part = 'full'
+        or v_day_part = 'full'
+        or (r.day_part <> 'hours' and v_day_part <> 'hours' and r.day_part = v_day_part)
+        or ((r.day_part = 'hours' or v_day_part = 'hours') and r.days_count + v_days > 1)
+      )
+  ) then
+    raise exception 'Request overlaps with an existing PTO request' using hint = 'overlap';
+  end if;
+
+  if p_open_days_seen is not null then
+    select coalesce(sum(days_count), 0) into v_open_days
+    from pto_requests
+    where user_id = v_user_id
+      and kind = 'leave'
+      and category = p_request->>'category'
+      and type = p_request->>'type'
+      and status in ('pending', 'approved');
+
+    if v_open_days <> p_open_days_seen then
+      raise exception 'Balance changed while the request was being submitted' using hint = 'balance_changed';
+    end if;
+  end if;
+
+  select string_agg(quote_ident(key), ', ') into v_columns from jsonb_object_keys(p_request) as key;
+
+  execute format(
+    'insert into pto_requests (%1$s) select %1$s from jsonb_populate_record(null::pto_requests, $1) returning *',
+    v_columns
+  ) using p_request into v_row;
+
+  return v_row;
+end;
+$$;
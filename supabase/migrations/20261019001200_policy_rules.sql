@@ -0,0 +1,40 @@
+-- Per-type leave policy rules checked by POST /pto/request.
+-- enforcement 'block' rejects the request; 'warn' accepts it and flags it for the approver
+-- (the messages are kept in pto_requests.policy_warnings).
+
+create table if not exists pto_policy_rules (
+  id bigint generated by default as identity primary key,
+  name text,                                   -- shown before the message, e.g. "Q-end freeze"
+  category text,                               -- null = every category
+  type text,                                   -- null = every type of the category
+  rule_type text not null check (rule_type in ('min_notice', 'max_consecutive', 'blackout')),
+  enforcement text not null default 'block' check (enforcement in ('block', 'warn')),
+
+  -- min_notice: requests longer than applies_above_days (null = any length) need min_notice_days notice
+  min_notice_days int,
+  applies_above_days numeric,
+
+  -- max_consecutive
+  max_days numeric,
+
+  -- blackout: a fixed window, or the last quarter_end_days days of every calendar quarter
+  start_date date,
+  end_date date,
+  quarter_end_days int,
+
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+
+  check (rule_type <> 'min_notice' or min_notice_days is not null),
+  check (rule_type <> 'max_consecutive' or max_days is not null),
+  check (rule_type <> 'blackout' or quarter_end_days is not null or (start_date is not null and end_date is not null))
+);
+
+alter table pto_requests
+  add column if not exists policy_warnings jsonb not null default '[]';
+
+-- examples:
+-- insert into pto_policy_rules (name, category, type, rule_type, enforcement, min_notice_days, applies_above_days)
+--   values ('Vacation notice', 'Short-term leave', 'Vacation', 'min_notice', 'block', 14, 3);
+-- insert into pto_policy_rules (name, rule_type, enforcement, quarter_end_days)
+--   values ('Quarter close', 'blackout', 'warn', 14);
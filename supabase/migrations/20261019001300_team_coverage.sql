@@ -0,0 +1,14 @@
+-- Team coverage limits: at most max_out people and/or max_out_percent of a manager's
+-- team out on any business day. Approving past the limit needs an explicit override.
+
+create table if not exists pto_coverage_rules (
+  id bigint generated by default as identity primary key,
+  manager_id bigint not null unique references users (id) on delete cascade,
+  max_out int check (max_out > 0),
+  max_out_percent numeric check (max_out_percent > 0 and max_out_percent <= 100),
+  created_at timestamptz not null default now(),
+  check (max_out is not null or max_out_percent is not null)
+);
+
+alter table pto_requests
+  add column if not exists coverage_overridden boolean not null default false;
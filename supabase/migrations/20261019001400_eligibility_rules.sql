@@ -0,0 +1,11 @@
+-- Eligibility rule language for pto_types.eligibility_rule (parsed in src/eligibility.js):
+-- clauses separated by ";", e.g. 'country=ES; tenure>=1y; employment=full_time,part_time; once'.
+-- The legacy 'STUDENTS_ONLY' value keeps working.
+
+alter table users
+  add column if not exists employment_type text not null default 'full_time'
+    check (employment_type in ('full_time', 'part_time', 'contractor'));
+
+-- Marriage leave is taken once
+update pto_types set eligibility_rule = 'once'
+where name = 'Marriage' and eligibility_rule is null;
@@ -0,0 +1,33 @@
+-- Supporting documents (medical certificate, birth certificate...) for some leave types.
+-- Due before the leave starts (document_due_days null) or N days after it ends.
+
+alter table pto_types
+  add column if not exists requires_document boolean not null default false,
+  add column if not exists document_due_days int check (document_due_days >= 0);
+
+alter table pto_requests
+  add column if not exists document_status text check (document_status in ('missing', 'received')),   -- null = not required
+  add column if not exists document_due_on date;
+
+create index if not exists pto_requests_missing_documents_idx
+  on pto_requests (document_due_on) where document_status = 'missing';
+
+create table if not exists pto_request_documents (
+  id bigint generated by default as identity primary key,
+  request_id bigint not null references pto_requests (id) on delete cascade,
+  file_name text not null,
+  mime_type text,
+  size_bytes bigint,
+  storage_key text not null,          -- path in the storage driver (src/storage.js)
+  slack_file_id text,
+  uploaded_by bigint references users (id),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists pto_request_documents_request_idx on pto_request_documents (request_id);
+
+update pto_types set requires_document = true, document_due_days = 7
+where category = 'Extended leave' and name = 'Medical Leave';
+
+update pto_types set requires_document = true, document_due_days = 30
+where category = 'Extended leave' and name = 'Parental Leave';
@@ -0,0 +1,41 @@
+-- Multi-level approval chains. A chain applies by type/category and/or duration
+-- (days_count > min_days); the first active match by priority wins, otherwise the
+-- direct manager approves alone. Each request keeps one row per step.
+
+create table if not exists pto_approval_chains (
+  id bigint generated by default as identity primary key,
+  name text not null,
+  category text,                      -- null = any category
+  type text,                          -- null = any type
+  min_days numeric,                   -- applies to requests longer than this; null = any length
+  steps text[] not null check (
+    array_length(steps, 1) > 0 and steps <@ array['manager', 'skip_level', 'hr']
+  ),
+  priority int not null default 100,  -- lower = checked first
+  active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists pto_approval_steps (
+  id bigint generated by default as identity primary key,
+  request_id bigint not null references pto_requests (id) on delete cascade,
+  step_order int not null,
+  role text not null,
+  approver_id bigint references users (id),   -- null = any admin
+  status text not null default 'waiting'
+    check (status in ('waiting', 'pending', 'approved', 'denied', 'skipped')),
+  decided_by bigint references users (id),
+  decided_at timestamptz,
+  unique (request_id, step_order)
+);
+
+alter table pto_requests
+  add column if not exists current_step int not null default 1;
+
+insert into pto_approval_chains (name, category, steps, priority)
+select 'Extended leave', 'Extended leave', array['manager', 'hr'], 10
+where not exists (select 1 from pto_approval_chains where name = 'Extended leave');
+
+insert into pto_approval_chains (name, min_days, steps, priority)
+select 'Long leave', 10, array['manager', 'hr'], 20
+where not exists (select 1 from pto_approval_chains where name = 'Long leave');
@@ -0,0 +1,22 @@
+-- Approval delegation: a manager hands their approvals to someone for a date range.
+-- Without one, a manager on approved full-day leave auto-delegates to their own manager.
+-- Decisions made by a delegate record whose behalf they were made on.
+
+create table if not exists pto_delegations (
+  id bigint generated by default as identity primary key,
+  manager_id bigint not null references users (id) on delete cascade,
+  delegate_id bigint not null references users (id) on delete cascade,
+  start_date date not null,
+  end_date date not null,
+  created_at timestamptz not null default now(),
+  check (end_date >= start_date),
+  check (delegate_id <> manager_id)
+);
+
+create index if not exists pto_delegations_manager_idx on pto_delegations (manager_id, start_date, end_date);
+
+alter table pto_requests
+  add column if not exists decided_on_behalf_of bigint references users (id);
+
+alter table pto_approval_steps
+  add column if not exists decided_on_behalf_of bigint references users (id);
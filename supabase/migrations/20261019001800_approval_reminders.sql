@@ -0,0 +1,10 @@
+-- State for GET /cron/approval-reminders: when the current step started waiting, the last
+-- reminder sent, and the one-time escalation to the approver's manager (null escalated_to = admins).
+
+alter table pto_requests
+  add column if not exists awaiting_since timestamptz not null default now(),
+  add column if not exists last_reminded_at timestamptz,
+  add column if not exists escalated_at timestamptz,
+  add column if not exists escalated_to bigint references users (id);
+
+update pto_requests set awaiting_since = created_at where status = 'pending';
@@ -0,0 +1,19 @@
+-- Requests from users without a manager: routed to FALLBACK_APPROVER_SLACK_ID or to the admins
+-- in turns (pto_approval_steps.fallback records which), or auto-approved for types that allow it.
+-- Automatic decisions are signed by a system user.
+
+alter table users
+  add column if not exists is_system boolean not null default false;
+
+insert into users (name, slack_id, manager_id, is_admin, is_student, is_system)
+select 'PTO Tool (system)', 'SYSTEM', null, false, false, true
+where not exists (select 1 from users where is_system);
+
+alter table pto_types
+  add column if not exists auto_approve_without_manager boolean not null default false;
+
+alter table pto_approval_steps
+  add column if not exists fallback text check (fallback in ('default_approver', 'hr_rotation'));
+
+update pto_types set auto_approve_without_manager = true
+where category = 'Short-term leave' and name in ('Out Sick', 'Jury Duty');
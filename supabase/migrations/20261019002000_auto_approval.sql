@@ -0,0 +1,15 @@
+-- Per-type auto-approval: "always", or "short" for requests of at most auto_approve_max_days.
+-- Requests that hit a policy rule (e.g. a blackout) or the team coverage limit still go to a person.
+-- Auto-approved requests are decided by the system user; the manager only gets an FYI.
+
+alter table pto_types
+  add column if not exists auto_approve text not null default 'never'
+    check (auto_approve in ('never', 'always', 'short')),
+  add column if not exists auto_approve_max_days numeric
+    check (auto_approve_max_days is null or auto_approve_max_days > 0);
+
+update pto_types set auto_approve = 'always'
+where category = 'Short-term leave' and name in ('Out Sick', 'Jury Duty');
+
+update pto_types set auto_approve = 'short', auto_approve_max_days = 1
+where category = 'Short-term leave' and name = 'Relocation';
@@ -0,0 +1,35 @@
+-- Editing submitted requests. A pending request is edited in place and its approval starts
+-- over ('applied'); an approved one gets a change request that its approver accepts or rejects
+-- ('pending' -> 'approved' / 'denied'; 'cancelled' if the request is cancelled first).
+-- previous / proposed hold category, type, dates, day_part, hours, days_count and reason.
+
+create table if not exists pto_request_changes (
+  id bigint generated by default as identity primary key,
+  request_id bigint not null references pto_requests (id) on delete cascade,
+  requested_by bigint not null references users (id),
+  previous jsonb not null,
+  proposed jsonb not null,
+  policy_warnings jsonb not null default '[]',
+  status text not null check (status in ('applied', 'pending', 'approved', 'denied', 'cancelled')),
+  approver_id bigint references users (id),   -- null = any admin
+  decided_by bigint references users (id),
+  decided_on_behalf_of bigint references users (id),
+  decided_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+-- one open change per request
+create unique index if not exists pto_request_changes_one_pending
+  on pto_request_changes (request_id) where status = 'pending';
+
+-- approval DMs (channel + ts) so they can be rewritten with chat.update
+create table if not exists pto_approval_messages (
+  id bigint generated by default as identity primary key,
+  request_id bigint not null references pto_requests (id) on delete cascade,
+  slack_id text not null,
+  channel text not null,
+  ts text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists pto_approval_messages_request_idx on pto_approval_messages (request_id);
@@ -0,0 +1,7 @@
+-- Cancellation flow. Pending requests are cancelled right away. Cancelling approved leave that
+-- hasn't started files a 'cancel' change that the approver confirms. Leave in progress can only
+-- end early: end_date and days_count shrink at once and the change is kept as 'end_early'.
+
+alter table pto_request_changes
+  add column if not exists action text not null default 'edit'
+    check (action in ('edit', 'cancel', 'end_early'));
@@ -0,0 +1,8 @@
+-- Approver comments: optional when approving, required when denying. The final decision's
+-- comment is kept on the request (and sent to the requester); each step keeps its own.
+
+alter table pto_requests
+  add column if not exists decision_comment text;
+
+alter table pto_approval_steps
+  add column if not exists comment text;
@@ -0,0 +1,10 @@
+-- Per-user opt-outs for request notifications (/pto notifications). No row = enabled.
+-- event is one of the dispatcher's events: created, approved, denied, cancelled, edited, escalated.
+
+create table if not exists notification_preferences (
+  user_id bigint not null references users (id) on delete cascade,
+  event text not null check (event in ('created', 'approved', 'denied', 'cancelled', 'edited', 'escalated')),
+  enabled boolean not null default true,
+  updated_at timestamptz not null default now(),
+  primary key (user_id, event)
+);
@@ -0,0 +1,10 @@
+-- users.annual_allowance_days is a per-user Vacation override (null = pto_types policy + tenure).
+-- POST /users used to store 20 when none was given, and the column was never read before the
+-- override existed: those 20s are the old default, not a decision, so they go back to null.
+-- Other values were passed explicitly and stay as overrides.
+
+alter table users
+  alter column annual_allowance_days drop default;
+
+update users set annual_allowance_days = null
+where annual_allowance_days = 20;
@@ -0,0 +1,62 @@
+-- Atomic final approval. Takes the same per-user lock as create_pto_request, so two requests
+-- of the same user approved at the same moment run one at a time, and re-checks the balance
+-- optimistically before setting the request to approved.
+--
+-- p_request_id:         the pending request
+-- p_decision:           decided_by, decided_on_behalf_of, decision_comment, coverage_overridden
+-- p_approved_days_seen: sum of approved days_count of the same type (leave only) that the caller
+--                       saw when it checked the balance (null = type doesn't count against balance)
+--
+-- Errors carry a hint the API maps to a 409: 'not_pending' or 'balance_changed'.
+
+create or replace function approve_pto_request(
+  p_request_id bigint,
+  p_decision jsonb,
+  p_approved_days_seen numeric default null
+)
+returns pto_requests
+language plpgsql
+as $$
+declare
+  v_row pto_requests;
+  v_approved_days numeric;
+begin
+  select * into v_row from pto_requests where id = p_request_id;
+  if not found then
+    raise exception 'Request not found' using hint = 'not_pending';
+  end if;
+
+  perform pg_advisory_xact_lock(hashtext('create_pto_request'), v_row.user_id::int);
+
+  if p_approved_days_seen is not null then
+    select coalesce(sum(days_count), 0) into v_approved_days
+    from pto_requests
+    where user_id = v_row.user_id
+      and category = v_row.category
+      and type = v_row.type
+      and kind = 'leave'
+      and status = 'approved';
+
+    if v_approved_days <> p_approved_days_seen then
+      raise exception 'Balance changed while the request was being approved' using hint = 'balance_changed';
+    end if;
+  end if;
+
+  update pto_requests
+  set status = 'approved',
+      decided_at = now(),
+      decided_by = (p_decision->>'decided_by')::bigint,
+      decided_on_behalf_of = (p_decision->>'decided_on_behalf_of')::bigint,
+      decision_comment = p_decision->>'decision_comment',
+      coverage_overridden = coalesce((p_decision->>'coverage_overridden')::boolean, false)
+  where id = p_request_id
+    and status = 'pending' -- only one concurrent decision wins
+  returning * into v_row;
+
+  if not found then
+    raise exception 'Request is not pending (already decided)' using hint = 'not_pending';
+  end if;
+
+  return v_row;
+end;
+$$;
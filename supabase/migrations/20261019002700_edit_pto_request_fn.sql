@@ -0,0 +1,93 @@
+-- Atomic edit of a pending request. Takes the same per-user lock as create_pto_request, then
+-- re-runs the overlap check (against the user's other requests) and the optimistic balance
+-- check before updating, so an edit can't race another edit or a new submit. The approval
+-- starts over: the request's steps are replaced in the same transaction.
+--
+-- p_request_id:     the pending request
+-- p_changes:        the columns to update, as JSON (only the keys present are updated)
+-- p_steps:          the new pto_approval_steps rows (step_order, role, approver_id, fallback, status)
+-- p_open_days_seen: sum of pending + approved days_count of the new type (leave only) that the
+--                   caller saw when it checked the balance, this request's current days included
+--                   (null = type doesn't count against balance)
+--
+-- Errors carry a hint the API maps to a 409: 'not_pending', 'overlap' or 'balance_changed'.
+
+create or replace function edit_pto_request(
+  p_request_id bigint,
+  p_changes jsonb,
+  p_steps jsonb,
+  p_open_days_seen numeric default null
+)
+returns pto_requests
+language plpgsql
+as $$
+declare
+  v_row pto_requests;
+  v_new pto_requests;
+  v_open_days numeric;
+  v_columns text;
+begin
+  select * into v_row from pto_requests where id = p_request_id;
+  if not found then
+    raise exception 'Request not found' using hint = 'not_pending';
+  end if;
+
+  perform pg_advisory_xact_lock(hashtext('create_pto_request'), v_row.user_id::int);
+
+  -- the request as it will be after the edit
+  v_new := jsonb_populate_record(v_row, p_changes);
+
+  -- same rules as create_pto_request (leave only overlaps leave), ignoring the request being edited
+  if exists (
+    select 1
+    from pto_requests r
+    where r.user_id = v_row.user_id
+      and r.id <> p_request_id
+      and r.kind = v_new.kind
+      and r.status in ('pending', 'approved')
+      and r.start_date <= v_new.end_date
+      and r.end_date >= v_new.start_date
+      and (
+        r.day_part = 'full'
+        or v_new.day_part = 'full'
+        or (r.day_part <> 'hours' and v_new.day_part <> 'hours' and r.day_part = v_new.day_part)
+        or ((r.day_part = 'hours' or v_new.day_part = 'hours') and r.days_count + v_new.days_count > 1)
+      )
+  ) then
+    raise exception 'Request overlaps with an existing PTO request' using hint = 'overlap';
+  end if;
+
+  if p_open_days_seen is not null then
+    select coalesce(sum(days_count), 0) into v_open_days
+    from pto_requests
+    where user_id = v_row.user_id
+      and category = v_new.category
+      and type = v_new.type
+      and kind = 'leave'
+      and status in ('pending', 'approved');
+
+    if v_open_days <> p_open_days_seen then
+      raise exception 'Balance changed while the request was being edited' using hint = 'balance_changed';
+    end if;
+  end if;
+
+  select string_agg(quote_ident(key), ', ') into v_columns from jsonb_object_keys(p_changes) as key;
+
+  execute format(
+    'update pto_requests set (%1$s) = (select %1$s from jsonb_populate_record(null::pto_requests, $1)) ' ||
+    'where id = $2 and status = ''pending'' returning *',
+    v_columns
+  ) using p_changes, p_request_id into v_new;
+
+  if v_new.id is null then
+    raise exception 'Request is not pending (already decided)' using hint = 'not_pending';
+  end if;
+
+  delete from pto_approval_steps where request_id = p_request_id;
+  insert into pto_approval_steps (request_id, step_order, role, approver_id, fallback, status)
+  select p_request_id, s.step_order, s.role, s.approver_id, s.fallback, s.status
+  from jsonb_populate_recordset(null::pto_approval_steps, p_steps) s;
+
+  return v_new;
+end;
+$$;
@@ -0,0 +1,7 @@
+-- Approval DMs that ask to decide a change request (pto_request_changes), so every one of them
+-- (e.g. all admins, when the request has no approver) is rewritten once someone decides it.
+
+alter table pto_approval_messages
+  add column if not exists change_id bigint references pto_request_changes (id) on delete set null;
+
+create index if not exists pto_approval_messages_change_idx on pto_approval_messages (change_id);
@@ -0,0 +1,10 @@
+-- Approval comments waiting for an "Approve anyway" (coverage override) click. The button only
+-- carries the request id; the comment typed in the decision modal is kept here until then.
+
+create table if not exists pto_decision_drafts (
+  request_id bigint not null references pto_requests (id) on delete cascade,
+  slack_id text not null,
+  comment text not null,
+  updated_at timestamptz not null default now(),
+  primary key (request_id, slack_id)
+);
@@ -0,0 +1,130 @@
+-- Atomic approval of a change request on an approved request. Takes the same per-user lock as
+-- create_pto_request, then decides the change and applies it to the request in one transaction:
+-- a 'cancel' change cancels the request; an 'edit' change re-runs the overlap check and the
+-- optimistic balance check for the new dates before updating the request.
+--
+-- p_change_id:          the pending change
+-- p_decision:           decided_by, decided_on_behalf_of
+-- p_request_changes:    the request columns to update for an 'edit' change, as JSON (ignored
+--                       for 'cancel')
+-- p_approved_days_seen: sum of approved days_count of the new type (leave only) that the caller
+--                       saw when it checked the balance, this request's current days included
+--                       (null = type doesn't count against balance)
+--
+-- Returns { change, request }. Errors carry a hint the API maps to a 409: 'not_pending' (the
+-- change was already decided), 'not_approved' (the request is no longer approved), 'overlap'
+-- or 'balance_changed'.
+
+create or replace function approve_pto_change(
+  p_change_id bigint,
+  p_decision jsonb,
+  p_request_changes jsonb default '{}',
+  p_approved_days_seen numeric default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_change pto_request_changes;
+  v_row pto_requests;
+  v_new pto_requests;
+  v_approved_days numeric;
+  v_columns text;
+begin
+  select * into v_change from pto_request_changes where id = p_change_id;
+  if not found then
+    raise exception 'Change not found' using hint = 'not_pending';
+  end if;
+
+  select * into v_row from pto_requests where id = v_change.request_id;
+  if not found then
+    raise exception 'Request not found' using hint = 'not_approved';
+  end if;
+
+  perform pg_advisory_xact_lock(hashtext('create_pto_request'), v_row.user_id::int);
+
+  update pto_request_changes
+  set status = 'approved',
+      decided_by = (p_decision->>'decided_by')::bigint,
+      decided_on_behalf_of = (p_decision->>'decided_on_behalf_of')::bigint,
+      decided_at = now()
+  where id = p_change_id
+    and status = 'pending' -- only one concurrent decision wins
+  returning * into v_change;
+
+  if not found then
+    raise exception 'Change is not pending (already decided)' using hint = 'not_pending';
+  end if;
+
+  if v_change.action = 'cancel' then
+    update pto_requests
+    set status = 'cancelled',
+        decided_at = now(),
+        decided_by = (p_decision->>'decided_by')::bigint
+    where id = v_row.id
+      and status = 'approved'
+    returning * into v_new;
+
+    if not found then
+      raise exception 'Request is no longer approved' using hint = 'not_approved';
+    end if;
+
+    return jsonb_build_object('change', to_jsonb(v_change), 'request', to_jsonb(v_new));
+  end if;
+
+  -- the request as it will be after the change
+  v_new := jsonb_populate_record(v_row, p_request_changes);
+
+  -- same rules as create_pto_request (leave only overlaps leave), ignoring the request being changed
+  if exists (
+    select 1
+    from pto_requests r
+    where r.user_id = v_row.user_id
+      and r.id <> v_row.id
+      and r.kind = v_new.kind
+      and r.status in ('pending', 'approved')
+      and r.start_date <= v_new.end_date
+      and r.end_date >= v_new.start_date
+      and (
+        r.day_part = 'full'
+        or v_new.day_part = 'full'
+        or (r.day_part <> 'hours' and v_new.day_part <> 'hours' and r.day_part = v_new.day_part)
+        or ((r.day_part = 'hours' or v_new.day_part = 'hours') and r.days_count + v_new.days_count > 1)
+      )
+  ) then
+    raise exception 'The new dates overlap with another PTO request' using hint = 'overlap';
+  end if;
+
+  if p_approved_days_seen is not null then
+    select coalesce(sum(days_count), 0) into v_approved_days
+    from pto_requests
+    where user_id = v_row.user_id
+      and category = v_new.category
+      and type = v_new.type
+      and kind = 'leave'
+      and status = 'approved';
+
+    if v_approved_days <> p_approved_days_seen then
+      raise exception 'Balance changed while the change was being approved' using hint = 'balance_changed';
+    end if;
+  end if;
+
+  select string_agg(quote_ident(key), ', ') into v_columns from jsonb_object_keys(p_request_changes) as key;
+
+  if v_columns is not null then
+    execute format(
+      'update pto_requests set (%1$s) = (select %1$s from jsonb_populate_record(null::pto_requests, $1)) ' ||
+      'where id = $2 and status = ''approved'' returning *',
+      v_columns
+    ) using p_request_changes, v_row.id into v_new;
+  else
+    select * into v_new from pto_requests where id = v_row.id and status = 'approved';
+  end if;
+
+  if v_new.id is null then
+    raise exception 'Request is no longer approved' using hint = 'not_approved';
+  end if;
+
+  return jsonb_build_object('change', to_jsonb(v_change), 'request', to_jsonb(v_new));
+end;
+$$;
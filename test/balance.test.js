@@ -0,0 +1,176 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeTypeBalance } from "../src/balance.js";
+
+const period = { start: "2026-01-01", end: "2026-12-31", label: "2026" };
+const vacation = {
+  category: "Short-term leave",
+  name: "Vacation",
+  annual_allowance_days: 20,
+  counts_against_balance: true,
+  carryover_allowed: true,
+};
+const toil = {
+  category: "Other",
+  name: "Time off in lieu",
+  annual_allowance_days: 0,
+  counts_against_balance: true,
+  carryover_allowed: false,
+};
+
+const leave = (t, start_date, end_date, days_count, extra = {}) => ({
+  category: t.category,
+  type: t.name,
+  start_date,
+  end_date,
+  days_count,
+  ...extra,
+});
+
+const inputs = (extra = {}) => ({
+  user: { hire_date: "2020-03-01" },
+  approved: [],
+  pending: [],
+  carryovers: [],
+  adjustments: [],
+  overrides: [],
+  tenureRules: [],
+  holidays: new Set(),
+  ...extra,
+});
+
+test("used days come off the allowance and pending ones are reserved", () => {
+  const b = computeTypeBalance(
+    vacation,
+    inputs({
+      approved: [leave(vacation, "2026-03-02", "2026-03-06", 5)],
+      pending: [leave(vacation, "2026-07-06", "2026-07-07", 2)],
+    }),
+    period,
+    "2026-10-19"
+  );
+  assert.equal(b.allowance_days, 20);
+  assert.equal(b.used_days, 5);
+  assert.equal(b.reserved_days, 2);
+  assert.equal(b.remaining_days, 15);
+  assert.equal(b.available_days, 13);
+});
+
+test("other types don't count", () => {
+  const b = computeTypeBalance(vacation, inputs({ approved: [leave(toil, "2026-03-02", "2026-03-06", 5)] }), period, "2026-10-19");
+  assert.equal(b.used_days, 0);
+  assert.equal(b.remaining_days, 20);
+});
+
+test("allowance: user value for Vacation, then the override, then tenure", () => {
+  const base = inputs({ user: { hire_date: "2020-03-01", annual_allowance_days: 22 } });
+  assert.equal(computeTypeBalance(vacation, base, period, "2026-10-19").allowance_days, 22);
+
+  const overridden = { ...base, overrides: [{ category: vacation.category, type: vacation.name, annual_allowance_days: 25 }] };
+  assert.equal(computeTypeBalance(vacation, overridden, period, "2026-10-19").allowance_days, 25);
+
+  // 5 years completed by 2026-01-01: 2 years above after_years, capped at 3
+  const tenure = {
+    ...overridden,
+    user: { ...base.user, hire_date: "2020-01-01" },
+    tenureRules: [{ category: vacation.category, type: vacation.name, after_years: 3, extra_days_per_year: 2, max_extra_days: 3 }],
+  };
+  const b = computeTypeBalance(vacation, tenure, period, "2026-10-19");
+  assert.equal(b.allowance_days, 28);
+  assert.deepEqual(
+    b.allowance_sources.map((s) => s.source),
+    ["policy", "user", "override", "tenure"]
+  );
+});
+
+test("allowance is prorated for people hired during the period", () => {
+  const b = computeTypeBalance(vacation, inputs({ user: { hire_date: "2026-07-02" } }), period, "2026-10-19");
+  // 183 of 365 days employed
+  assert.equal(b.allowance_days, 10.03);
+  assert.equal(b.accrued_days, 10.03);
+  assert.equal(b.allowance_sources.at(-1).source, "prorated");
+});
+
+test("monthly accrual credits each month when it starts", () => {
+  const monthly = { ...vacation, annual_allowance_days: 12, accrual_mode: "monthly" };
+  assert.equal(computeTypeBalance(monthly, inputs(), period, "2026-03-15").accrued_days, 3);
+  assert.equal(computeTypeBalance(monthly, inputs(), period, "2026-12-31").accrued_days, 12);
+  // accruedAsOf can differ from asOf
+  assert.equal(computeTypeBalance(monthly, inputs(), period, "2026-12-31", "2026-01-01").accrued_days, 1);
+});
+
+test("carried-over days are used first and the rest expires", () => {
+  const data = inputs({
+    carryovers: [{ category: vacation.category, type: vacation.name, days: 5, expires_on: "2026-03-31" }],
+    approved: [leave(vacation, "2026-02-02", "2026-02-03", 2)],
+  });
+
+  const before = computeTypeBalance(vacation, data, period, "2026-03-01");
+  assert.equal(before.carryover_used_days, 2);
+  assert.equal(before.expiring_days, 3);
+  assert.equal(before.remaining_days, 23);
+
+  const after = computeTypeBalance(vacation, data, period, "2026-04-01");
+  assert.equal(after.carryover_expired_days, 3);
+  assert.equal(after.expiring_days, 0);
+  assert.equal(after.remaining_days, 20);
+});
+
+test("expiring credits are used soonest expiry first and lose what's left", () => {
+  const credit = (days, expires_on) => ({ category: toil.category, type: toil.name, days, effective_date: "2026-01-05", expires_on });
+  const data = inputs({
+    adjustments: [credit(2, "2026-06-30"), credit(3, "2026-03-31")],
+    approved: [leave(toil, "2026-02-02", "2026-02-02", 1)],
+  });
+
+  const before = computeTypeBalance(toil, data, period, "2026-03-01");
+  assert.equal(before.adjustment_days, 5);
+  assert.equal(before.remaining_days, 4);
+  assert.deepEqual(before.next_credit_expiry, { date: "2026-03-31", days: 2 });
+
+  const after = computeTypeBalance(toil, data, period, "2026-04-01");
+  assert.equal(after.credit_expired_days, 2);
+  assert.equal(after.remaining_days, 2);
+  assert.deepEqual(after.next_credit_expiry, { date: "2026-06-30", days: 2 });
+});
+
+test("credits from an earlier period keep what the earlier usage left of them", () => {
+  const carried = { id: 1, category: toil.category, type: toil.name, days: 3, effective_date: "2025-12-01", expires_on: "2026-02-28" };
+  const expiredBefore = { id: 2, category: toil.category, type: toil.name, days: 1, effective_date: "2025-11-03", expires_on: "2025-12-10" };
+  const data = inputs({
+    adjustments: [carried],
+    priorCredits: [carried, expiredBefore],
+    // the first day went to the credit that expired in December, the second to the carried one;
+    // only the 2025 part of the request crossing the period counts
+    priorRequests: [leave(toil, "2025-12-08", "2025-12-08", 1), leave(toil, "2025-12-31", "2026-01-02", 2)],
+    approved: [leave(toil, "2025-12-31", "2026-01-02", 2)],
+    holidays: new Set(["2026-01-01"]),
+  });
+
+  const b = computeTypeBalance(toil, data, period, "2026-01-15");
+  assert.equal(b.adjustment_days, 2);
+  assert.equal(b.used_days, 1);
+  assert.equal(b.remaining_days, 1);
+});
+
+test("unlimited types only report usage", () => {
+  const b = computeTypeBalance(
+    { ...vacation, is_unlimited: true },
+    inputs({ approved: [leave(vacation, "2026-03-02", "2026-03-06", 5)] }),
+    period,
+    "2026-10-19"
+  );
+  assert.deepEqual(b, { category: vacation.category, type: vacation.name, unlimited: true, used_days: 5, reserved_days: 0 });
+});
+
+test("types that don't count against the balance always show the allowance", () => {
+  const b = computeTypeBalance(
+    { ...vacation, counts_against_balance: false },
+    inputs({ approved: [leave(vacation, "2026-03-02", "2026-03-06", 5)] }),
+    period,
+    "2026-10-19"
+  );
+  assert.equal(b.used_days, 5);
+  assert.equal(b.remaining_days, 20);
+  assert.equal(b.available_days, 20);
+});
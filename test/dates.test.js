@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { countBusinessDays, daysInPeriod } from "../src/dates.js";
+
+test("countBusinessDays skips weekends", () => {
+  // Mon 2026-10-19 -> Sun 2026-10-25
+  assert.equal(countBusinessDays("2026-10-19", "2026-10-25"), 5);
+  assert.equal(countBusinessDays("2026-10-19", "2026-10-19"), 1);
+  assert.equal(countBusinessDays("2026-10-24", "2026-10-25"), 0);
+  // two full weeks, Fri to Thu
+  assert.equal(countBusinessDays("2026-10-16", "2026-10-29"), 10);
+});
+
+test("countBusinessDays skips holidays (Set or Map)", () => {
+  assert.equal(countBusinessDays("2026-10-19", "2026-10-23", new Set(["2026-10-21"])), 4);
+  assert.equal(countBusinessDays("2026-10-19", "2026-10-23", new Map([["2026-10-21", "Holiday"]])), 4);
+  // a holiday on a weekend doesn't count twice
+  assert.equal(countBusinessDays("2026-10-19", "2026-10-25", new Set(["2026-10-24"])), 5);
+});
+
+test("countBusinessDays crosses month and year ends", () => {
+  // Wed 2026-12-30 -> Mon 2027-01-04
+  assert.equal(countBusinessDays("2026-12-30", "2027-01-04"), 4);
+  // 2028 is a leap year: Mon 2028-02-28 -> Wed 2028-03-01
+  assert.equal(countBusinessDays("2028-02-28", "2028-03-01"), 3);
+});
+
+test("countBusinessDays returns null for invalid or reversed ranges", () => {
+  assert.equal(countBusinessDays("2026-10-23", "2026-10-19"), null);
+  assert.equal(countBusinessDays("not-a-date", "2026-10-19"), null);
+});
+
+test("daysInPeriod keeps days_count inside the period and splits across it", () => {
+  const period = { start: "2026-01-01", end: "2026-12-31" };
+  assert.equal(daysInPeriod({ start_date: "2026-10-19", end_date: "2026-10-19", days_count: 0.5 }, period), 0.5);
+  const crossing = { start_date: "2026-12-30", end_date: "2027-01-04", days_count: 4 };
+  assert.equal(daysInPeriod(crossing, period), 2);
+  assert.equal(daysInPeriod(crossing, { start: "2027-01-01", end: "2027-12-31" }), 2);
+  assert.equal(daysInPeriod(crossing, period, new Set(["2026-12-31"])), 1);
+  assert.equal(daysInPeriod({ start_date: "2025-12-01", end_date: "2025-12-05", days_count: 5 }, period), 0);
+});
@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseEligibilityRule, checkEligibility } from "../src/eligibility.js";
+
+const user = { country: "ES", hire_date: "2025-01-15", employment_type: "full_time", is_student: false };
+const type = (eligibility_rule) => ({ category: "Short-term leave", name: "Marriage", eligibility_rule });
+
+test("parseEligibilityRule splits clauses and skips empty ones", () => {
+  assert.deepEqual(parseEligibilityRule("country!=us; tenure>=6m;;once"), [
+    { kind: "country", negate: true, values: ["US"] },
+    { kind: "tenure", amount: 6, unit: "m" },
+    { kind: "once" },
+  ]);
+  assert.deepEqual(parseEligibilityRule(null), []);
+  assert.deepEqual(parseEligibilityRule("STUDENTS_ONLY"), [{ kind: "students" }]);
+});
+
+test("parseEligibilityRule throws on an unknown clause", () => {
+  assert.throws(() => parseEligibilityRule("tenure>=6w"), /Unknown eligibility clause/);
+  assert.throws(() => parseEligibilityRule("employment=intern"), /Unknown eligibility clause/);
+});
+
+test("an empty rule lets everyone in", () => {
+  assert.deepEqual(checkEligibility(user, type(null)), { ok: true });
+});
+
+test("students only", () => {
+  assert.equal(checkEligibility(user, type("students")).ok, false);
+  assert.equal(checkEligibility({ ...user, is_student: true }, type("students")).ok, true);
+});
+
+test("country lists include or exclude", () => {
+  assert.equal(checkEligibility(user, type("country=AR,ES")).ok, true);
+  assert.equal(checkEligibility(user, type("country=AR")).reason, "Only available in AR");
+  assert.equal(checkEligibility(user, type("country!=ES")).reason, "Not available in ES");
+  assert.equal(checkEligibility({ ...user, country: null }, type("country!=ES")).ok, true);
+});
+
+test("tenure is measured from hire_date on ctx.today", () => {
+  assert.equal(checkEligibility(user, type("tenure>=1y"), { today: "2026-01-15" }).ok, true);
+  assert.deepEqual(checkEligibility(user, type("tenure>=1y"), { today: "2026-01-14" }), {
+    ok: false,
+    reason: "Needs 1 years of tenure (available from 2026-01-15)",
+  });
+  assert.equal(checkEligibility(user, type("tenure>=90d"), { today: "2025-04-15" }).ok, true);
+  assert.match(checkEligibility({ ...user, hire_date: null }, type("tenure>=6m")).reason, /start date not set/);
+});
+
+test("employment type defaults to full_time", () => {
+  assert.equal(checkEligibility({ ...user, employment_type: null }, type("employment=full_time")).ok, true);
+  assert.equal(
+    checkEligibility({ ...user, employment_type: "contractor" }, type("employment=full_time,part_time")).reason,
+    "Only for full-time / part-time employees"
+  );
+});
+
+test("once is only enforced when usedTypes is given", () => {
+  assert.equal(checkEligibility(user, type("once")).ok, true);
+  assert.equal(checkEligibility(user, type("once"), { usedTypes: new Set() }).ok, true);
+  assert.equal(
+    checkEligibility(user, type("once"), { usedTypes: new Set(["Short-term leave::Marriage"]) }).reason,
+    "Marriage can only be taken once"
+  );
+});
+
+test("every clause must pass", () => {
+  const rule = "country=ES; tenure>=1y; employment=part_time";
+  assert.equal(checkEligibility(user, type(rule), { today: "2026-06-01" }).reason, "Only for part-time employees");
+});
+
+test("an invalid rule rejects instead of throwing", (t) => {
+  t.mock.method(console, "error", () => {});
+  assert.deepEqual(checkEligibility(user, type("bogus")), {
+    ok: false,
+    reason: "Marriage has an invalid eligibility rule, contact an admin",
+  });
+});
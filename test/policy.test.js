@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { evaluatePolicyRules, requestsConflict } from "../src/policy.js";
+
+const request = { type: "Vacation", start_date: "2026-11-02", end_date: "2026-11-13", days_count: 10 };
+const today = "2026-10-19";
+
+test("min_notice flags requests filed too late", () => {
+  const rule = { id: 1, name: "Notice", rule_type: "min_notice", enforcement: "block", min_notice_days: 30 };
+  assert.deepEqual(evaluatePolicyRules([rule], request, today), [
+    { rule_id: 1, enforcement: "block", field: "start_date", message: "Notice: Vacation needs 30 days notice (14 given)" },
+  ]);
+  assert.deepEqual(evaluatePolicyRules([{ ...rule, min_notice_days: 14 }], request, today), []);
+});
+
+test("min_notice only applies above applies_above_days", () => {
+  const rule = { id: 1, rule_type: "min_notice", enforcement: "warn", min_notice_days: 30, applies_above_days: 10 };
+  assert.deepEqual(evaluatePolicyRules([rule], request, today), []);
+
+  const [v] = evaluatePolicyRules([rule], { ...request, days_count: 11 }, today);
+  assert.equal(v.message, "Vacation needs 30 days notice for more than 10 days (14 given)");
+  assert.equal(v.enforcement, "warn");
+});
+
+test("min_notice never reports negative notice", () => {
+  const rule = { id: 1, rule_type: "min_notice", enforcement: "block", min_notice_days: 2 };
+  const [v] = evaluatePolicyRules([rule], { ...request, start_date: "2026-10-15" }, today);
+  assert.match(v.message, /\(0 given\)$/);
+});
+
+test("max_consecutive flags the end date", () => {
+  const rule = { id: 2, rule_type: "max_consecutive", enforcement: "block", max_days: 5 };
+  assert.deepEqual(evaluatePolicyRules([rule], request, today), [
+    { rule_id: 2, enforcement: "block", field: "end_date", message: "At most 5 consecutive days (requested 10)" },
+  ]);
+  assert.deepEqual(evaluatePolicyRules([{ ...rule, max_days: 10 }], request, today), []);
+});
+
+test("blackout with fixed dates", () => {
+  const rule = { id: 3, rule_type: "blackout", enforcement: "block", start_date: "2026-11-10", end_date: "2026-11-20" };
+  const [v] = evaluatePolicyRules([rule], request, today);
+  assert.equal(v.message, "Blackout period 2026-11-10 → 2026-11-20");
+  assert.deepEqual(evaluatePolicyRules([{ ...rule, start_date: "2026-11-14" }], request, today), []);
+});
+
+test("blackout on the last days of every quarter", () => {
+  const rule = { id: 4, rule_type: "blackout", enforcement: "warn", quarter_end_days: 5 };
+  assert.deepEqual(evaluatePolicyRules([rule], request, today), []);
+
+  const [v] = evaluatePolicyRules([rule], { ...request, start_date: "2026-12-24", end_date: "2027-01-08" }, today);
+  assert.equal(v.message, "Blackout period 2026-12-27 → 2026-12-31");
+});
+
+test("every rule is evaluated", () => {
+  const rules = [
+    { id: 1, rule_type: "min_notice", enforcement: "block", min_notice_days: 30 },
+    { id: 2, rule_type: "max_consecutive", enforcement: "warn", max_days: 5 },
+  ];
+  assert.deepEqual(
+    evaluatePolicyRules(rules, request, today).map((v) => v.rule_id),
+    [1, 2]
+  );
+});
+
+test("requestsConflict: full days always conflict", () => {
+  assert.equal(requestsConflict({}, { day_part: "am", days_count: 0.5 }), true);
+  assert.equal(requestsConflict({ day_part: "full" }, { day_part: "full" }), true);
+});
+
+test("requestsConflict: AM and PM share the day", () => {
+  assert.equal(requestsConflict({ day_part: "am", days_count: 0.5 }, { day_part: "pm", days_count: 0.5 }), false);
+  assert.equal(requestsConflict({ day_part: "pm", days_count: 0.5 }, { day_part: "pm", days_count: 0.5 }), true);
+});
+
+test("requestsConflict: hours fit as long as the day isn't exceeded", () => {
+  assert.equal(requestsConflict({ day_part: "hours", days_count: 0.25 }, { day_part: "am", days_count: 0.5 }), false);
+  assert.equal(requestsConflict({ day_part: "hours", days_count: 0.5 }, { day_part: "hours", days_count: 0.5 }), false);
+  assert.equal(requestsConflict({ day_part: "hours", days_count: 0.75 }, { day_part: "pm", days_count: 0.5 }), true);
+});